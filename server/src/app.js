@@ -2,17 +2,33 @@ const express = require("express");
 const cors = require("cors");
 const { corsOptions } = require("./config/cors");
 const routes = require("./routes");
-const { errorHandler } = require("./middleware/errorHandler");
+const { requestContext } = require("./middleware/requestContext");
+const { awaitMigrations } = require("./middleware/migrations");
+const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
 
 const app = express();
 
+// one proxy in front (Vercel's edge, or the load balancer): req.ip is the address it appends to
+// X-Forwarded-For, entries before it come from the client and can be anything.
+// TRUST_PROXY_HOPS=0 when the server faces clients directly.
+const proxyHops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set("trust proxy", Number.isNaN(proxyHops) || proxyHops < 0 ? 1 : proxyHops);
+
+app.use(requestContext);
 app.use(cors(corsOptions));
+app.use(awaitMigrations);
+
+// Stripe signs the raw payload, so webhooks must be mounted before the JSON parser
+app.use("/webhooks", require("./routes/webhooks.routes"));
+
 app.use(express.json());
 
 app.get("/", (req, res) => res.send("Digital Life Lessons server is running ✅"));
 
 app.use(routes);
 
+app.use(notFoundHandler);
+
 // centralized error handler
 app.use(errorHandler);
 
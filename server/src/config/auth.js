@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+
+const int = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) || n <= 0 ? fallback : n;
+};
+
+// AUTH_PROVIDER=firebase|local; Firebase when its service key is configured, local otherwise
+const AUTH_PROVIDER = process.env.AUTH_PROVIDER || (process.env.FB_SERVICE_KEY ? "firebase" : "local");
+
+if (AUTH_PROVIDER === "local" && !process.env.JWT_SECRET) {
+    if (process.env.NODE_ENV === "production") throw new Error("JWT_SECRET is required for local auth");
+    console.warn("⚠️ JWT_SECRET is missing in .env, local auth tokens will not survive a restart");
+}
+
+// settings for the local provider (signed JWT access tokens + rotating refresh tokens)
+const LOCAL_AUTH = {
+    jwtSecret: process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex"),
+    issuer: "digital-life-lessons",
+    accessTokenTtlSeconds: int(process.env.ACCESS_TOKEN_TTL_SECONDS, 15 * 60),
+    refreshTokenTtlDays: int(process.env.REFRESH_TOKEN_TTL_DAYS, 30),
+    minPasswordLength: 8,
+    maxPasswordLength: 128,
+};
+
+module.exports = { AUTH_PROVIDER, LOCAL_AUTH };
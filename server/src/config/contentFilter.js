@@ -0,0 +1,34 @@
+const int = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) || n < 0 ? fallback : n;
+};
+
+/*
+ * Content filter settings per kind of submission. Every rule answers allow, hold (published only
+ * after a moderator approves it) or reject; the strictest answer wins. Word lists live in the
+ * database and are edited through /admin/content-filter.
+ */
+const CONTENT_FILTER = {
+    // links above the limit are held; links to a blocked domain are rejected
+    maxLinks: { comment: 2, contact: 3, lesson: 10 },
+    // the same text from the same author inside this window is rejected as a double submission (0 disables)
+    duplicateWindowMinutes: int(process.env.CONTENT_DUPLICATE_WINDOW_MINUTES, 10),
+    // heuristic spam score thresholds (see scoreSpam), 0 turns a threshold off
+    spamHoldScore: int(process.env.CONTENT_SPAM_HOLD_SCORE, 4),
+    spamRejectScore: int(process.env.CONTENT_SPAM_REJECT_SCORE, 8),
+    // how long an instance trusts its cached copy of the word lists
+    listsCacheSeconds: 60,
+};
+
+// list name → what a match means; defaults are used until an admin saves a list
+const WORD_LISTS = {
+    banned: { action: "reject", defaults: [] },
+    profanity: { action: "hold", defaults: ["fuck", "shit", "bitch", "bastard", "asshole", "cunt", "dick"] },
+    spamPhrases: {
+        action: "score",
+        defaults: ["buy now", "click here", "free money", "work from home", "limited offer", "crypto giveaway"],
+    },
+    blockedDomains: { action: "reject", defaults: [] },
+};
+
+module.exports = { CONTENT_FILTER, WORD_LISTS };
@@ -1,3 +1,5 @@
+const { ForbiddenError } = require("../errors");
+
 // const corsOptions = {
 //     origin: true,
 //     credentials: true,
@@ -16,9 +18,11 @@ const corsOptions = {
             return callback(null, true);
         }
 
-        return callback(new Error("Not allowed by CORS"));
+        return callback(new ForbiddenError("Not allowed by CORS", "CORS_REJECTED"));
     },
     credentials: true,
+    // let the client read throttling and tracing headers
+    exposedHeaders: ["X-Request-Id", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
 };
 
 module.exports = { corsOptions };
\ No newline at end of file
@@ -1,10 +1,18 @@
 const admin = require("firebase-admin");
 
-const decoded = Buffer.from(process.env.FB_SERVICE_KEY, "base64").toString("utf8");
-const serviceAccount = JSON.parse(decoded);
+// initialized on first use, so the server starts without FB_SERVICE_KEY when Firebase isn't the auth provider
+const getFirebaseAdmin = () => {
+    if (!admin.apps.length) {
+        if (!process.env.FB_SERVICE_KEY) throw new Error("FB_SERVICE_KEY is not set");
 
-admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-});
+        const decoded = Buffer.from(process.env.FB_SERVICE_KEY, "base64").toString("utf8");
+        const serviceAccount = JSON.parse(decoded);
 
-module.exports = { admin };
\ No newline at end of file
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount),
+        });
+    }
+    return admin;
+};
+
+module.exports = { getFirebaseAdmin };
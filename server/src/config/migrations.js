@@ -0,0 +1,12 @@
+const lockSeconds = parseInt(process.env.MIGRATIONS_LOCK_SECONDS, 10);
+
+const MIGRATIONS = {
+    // MIGRATE_ON_BOOT=false leaves migrations to `npm run migrate` (e.g. as a deploy step)
+    runOnBoot: process.env.MIGRATE_ON_BOOT !== "false",
+    // a run that crashed without releasing its lock blocks others for at most this long
+    lockSeconds: Number.isNaN(lockSeconds) || lockSeconds <= 0 ? 10 * 60 : lockSeconds,
+    // after a failed boot run, an instance waits this long before trying again
+    bootRetryMinutes: 5,
+};
+
+module.exports = { MIGRATIONS };
@@ -0,0 +1,8 @@
+const threshold = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10);
+
+const MODERATION = {
+    // distinct open reporters that hide a lesson until a moderator reviews it (0 disables)
+    autoHideThreshold: Number.isNaN(threshold) || threshold < 0 ? 5 : threshold,
+};
+
+module.exports = { MODERATION };
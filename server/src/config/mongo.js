@@ -25,6 +25,15 @@ async function getDB() {
     return globalCache.promise;
 }
 
+// for scripts: serverless instances keep the connection for their whole life
+async function closeDB() {
+    const { client } = globalCache;
+    globalCache.client = null;
+    globalCache.db = null;
+    globalCache.promise = null;
+    if (client) await client.close();
+}
+
 async function getCollections() {
     const database = await getDB();
     return {
@@ -34,9 +43,25 @@ async function getCollections() {
         favoritesCollection: database.collection("favorites"),
         commentsCollection: database.collection("comments"),
         contactMessagesCollection: database.collection("contactMessages"),
+        paymentsCollection: database.collection("payments"),
+        promoCodesCollection: database.collection("promoCodes"),
+        giftsCollection: database.collection("gifts"),
+        lessonRevisionsCollection: database.collection("lessonRevisions"),
+        followsCollection: database.collection("follows"),
+        notificationsCollection: database.collection("notifications"),
+        mailQueueCollection: database.collection("mailQueue"),
+        lessonEventsCollection: database.collection("lessonEvents"),
+        jobLocksCollection: database.collection("jobLocks"),
+        auditLogCollection: database.collection("auditLog"),
+        rateLimitsCollection: database.collection("rateLimits"),
+        contentFilterListsCollection: database.collection("contentFilterLists"),
+        moderationQueueCollection: database.collection("moderationQueue"),
+        authAccountsCollection: database.collection("authAccounts"),
+        authSessionsCollection: database.collection("authSessions"),
+        migrationsCollection: database.collection("migrations"),
     };
 }
 
 const mustObjectId = (id) => (ObjectId.isValid(id) ? new ObjectId(id) : null);
 
-module.exports = { getDB, getCollections, mustObjectId, ObjectId };
\ No newline at end of file
+module.exports = { getDB, closeDB, getCollections, mustObjectId, ObjectId };
\ No newline at end of file
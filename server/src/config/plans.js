@@ -0,0 +1,37 @@
+// premium plan catalog – amounts are in the smallest currency unit (poisha)
+const PLANS = {
+    premium_monthly: {
+        id: "premium_monthly",
+        name: "Digital Life Lessons Premium – Monthly",
+        mode: "subscription",
+        interval: "month",
+        amount: 150 * 100,
+        currency: "bdt",
+    },
+    premium_yearly: {
+        id: "premium_yearly",
+        name: "Digital Life Lessons Premium – Yearly",
+        mode: "subscription",
+        interval: "year",
+        amount: 1200 * 100,
+        currency: "bdt",
+    },
+    premium_lifetime: {
+        id: "premium_lifetime",
+        name: "Digital Life Lessons Premium – Lifetime",
+        mode: "payment",
+        interval: null,
+        amount: 1500 * 100,
+        currency: "bdt",
+    },
+};
+
+const DEFAULT_PLAN_ID = "premium_lifetime";
+
+// how long premium keeps working after a subscription period ends (failed renewals, clock skew)
+const graceDays = parseInt(process.env.PREMIUM_GRACE_DAYS, 10);
+const GRACE_PERIOD_DAYS = Number.isNaN(graceDays) ? 3 : Math.max(0, graceDays);
+
+const getPlan = (id) => PLANS[id || DEFAULT_PLAN_ID] || null;
+
+module.exports = { PLANS, DEFAULT_PLAN_ID, GRACE_PERIOD_DAYS, getPlan };
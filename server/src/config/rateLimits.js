@@ -0,0 +1,22 @@
+/*
+ * Per-route write limits. Each limit counts requests in a fixed window of windowSeconds, in a
+ * bucket per client IP (perIp), per signed-in user (perUser) and/or per email in the request
+ * body (perEmail, for sign-in before there is a user); a request is rejected as soon as one of
+ * its buckets is full. Admins are never limited.
+ */
+const RATE_LIMITS = {
+    signup: { windowSeconds: 60 * 60, perIp: 20 },
+    contact: { windowSeconds: 60 * 60, perIp: 5 },
+    login: { windowSeconds: 15 * 60, perIp: 30, perEmail: 10 },
+    refresh: { windowSeconds: 15 * 60, perIp: 120 },
+    like: { windowSeconds: 60, perUser: 60, perIp: 120 },
+    comment: { windowSeconds: 60, perUser: 10, perIp: 30 },
+    report: { windowSeconds: 60 * 60, perUser: 20, perIp: 40 },
+    favorite: { windowSeconds: 60, perUser: 30, perIp: 60 },
+    checkout: { windowSeconds: 60 * 60, perUser: 10, perIp: 30 },
+};
+
+// RATE_LIMIT_STORE=mongo|memory; memory only counts per instance, so production defaults to mongo
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === "production" ? "mongo" : "memory");
+
+module.exports = { RATE_LIMITS, RATE_LIMIT_STORE };
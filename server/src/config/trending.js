@@ -0,0 +1,22 @@
+const num = (value, fallback) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// engagement weights and time decay for the trending score (override via env)
+const TRENDING = {
+    weights: {
+        like: num(process.env.TRENDING_WEIGHT_LIKE, 1),
+        save: num(process.env.TRENDING_WEIGHT_SAVE, 3),
+        comment: num(process.env.TRENDING_WEIGHT_COMMENT, 2),
+        view: num(process.env.TRENDING_WEIGHT_VIEW, 0.1),
+    },
+    // an event counts half as much after this many hours
+    halfLifeHours: num(process.env.TRENDING_HALF_LIFE_HOURS, 48),
+    // events older than this are ignored (at least 14 days, "rising" compares two weeks)
+    windowDays: Math.max(14, num(process.env.TRENDING_WINDOW_DAYS, 14)),
+    // how stale the stored scores may get before a request triggers a recompute
+    recomputeMinutes: num(process.env.TRENDING_RECOMPUTE_MINUTES, 10),
+};
+
+module.exports = { TRENDING };
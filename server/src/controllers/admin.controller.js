@@ -1,4 +1,30 @@
 const { getCollections, mustObjectId } = require("../config/mongo");
+const { seriesStart, fillSeries } = require("../services/analytics.service");
+const { unreadContactCount } = require("../services/contact.service");
+const { PUBLISHED } = require("../services/publishing.service");
+const {
+    OPEN_REPORT_STATUSES,
+    openReportsFilter,
+    readNote,
+    parseDecision,
+    hideLesson,
+    unhideLesson,
+    decideReports,
+} = require("../services/moderation.service");
+const {
+    isSuspensionActive,
+    parseSuspension,
+    suspendUser,
+    liftSuspension,
+    liftExpiredSuspensions,
+} = require("../services/suspensions.service");
+const {
+    TRASH_RETENTION_DAYS,
+    TRASHED,
+    withPurgeAt,
+    restoreFromTrash,
+    purgeLesson,
+} = require("../services/trash.service");
 
 const listUsersWithLessonsCount = async (req, res) => {
     const { usersCollection } = await getCollections();
@@ -66,26 +92,34 @@ const updateUserRole = async (req, res) => {
 };
 
 const adminStats = async (req, res) => {
-    const { usersCollection, lessonsCollection, reportsCollection } = await getCollections();
+    const { usersCollection, lessonsCollection, reportsCollection, contactMessagesCollection } = await getCollections();
 
     const startOfToday = new Date();
     startOfToday.setHours(0, 0, 0, 0);
 
-    const last30 = new Date();
-    last30.setDate(last30.getDate() - 29);
-    last30.setHours(0, 0, 0, 0);
+    const last30 = seriesStart(30);
 
-    const [totalUsers, totalLessons, publicLessons, totalReports, todaysNewLessons] = await Promise.all([
+    const [
+        totalUsers,
+        totalLessons,
+        publicLessons,
+        totalReports,
+        todaysNewLessons,
+        unreadContactMessages,
+        openContactMessages,
+    ] = await Promise.all([
         usersCollection.countDocuments(),
         lessonsCollection.countDocuments({ isDeleted: { $ne: true } }),
-        lessonsCollection.countDocuments({ visibility: "public", isDeleted: { $ne: true } }),
+        lessonsCollection.countDocuments({ visibility: "public", isDeleted: { $ne: true }, ...PUBLISHED }),
         reportsCollection.countDocuments(),
-        lessonsCollection.countDocuments({ createdAt: { $gte: startOfToday }, isDeleted: { $ne: true } }),
+        lessonsCollection.countDocuments({ createdAt: { $gte: startOfToday }, isDeleted: { $ne: true }, ...PUBLISHED }),
+        unreadContactCount(),
+        contactMessagesCollection.countDocuments({ status: { $in: ["new", "in_progress"] } }),
     ]);
 
     const lessonGrowthRaw = await lessonsCollection
         .aggregate([
-            { $match: { isDeleted: { $ne: true }, createdAt: { $gte: last30 } } },
+            { $match: { isDeleted: { $ne: true }, ...PUBLISHED, createdAt: { $gte: last30 } } },
             {
                 $group: {
                     _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
@@ -109,26 +143,15 @@ const adminStats = async (req, res) => {
         ])
         .toArray();
 
-    const fillSeries = (raw) => {
-        const map = new Map(raw.map((r) => [r._id, r.count]));
-        const out = [];
-        for (let i = 0; i < 30; i++) {
-            const d = new Date(last30);
-            d.setDate(d.getDate() + i);
-            const key = d.toISOString().slice(0, 10);
-            out.push({ date: key, count: map.get(key) || 0 });
-        }
-        return out;
-    };
-
     res.send({
         totalUsers,
         totalLessons,
         publicLessons,
         totalReports,
         todaysNewLessons,
-        lessonGrowth: fillSeries(lessonGrowthRaw),
-        userGrowth: fillSeries(userGrowthRaw),
+        contactMessages: { unread: unreadContactMessages, open: openContactMessages },
+        lessonGrowth: fillSeries(lessonGrowthRaw, last30, 30),
+        userGrowth: fillSeries(userGrowthRaw, last30, 30),
     });
 };
 
@@ -202,7 +225,11 @@ const setFeatured = async (req, res) => {
     if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
 
     const { featured } = req.body;
-    await lessonsCollection.updateOne({ _id: oid }, { $set: { isFeatured: !!featured, updatedAt: new Date() } });
+    const result = await lessonsCollection.updateOne(
+        { _id: oid, isDeleted: { $ne: true } },
+        { $set: { isFeatured: !!featured, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).send({ message: "Lesson not found" });
 
     res.send({ success: true });
 };
@@ -213,18 +240,71 @@ const setReviewed = async (req, res) => {
     if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
 
     const { reviewed } = req.body;
-    await lessonsCollection.updateOne({ _id: oid }, { $set: { isReviewed: !!reviewed, updatedAt: new Date() } });
+    const result = await lessonsCollection.updateOne(
+        { _id: oid, isDeleted: { $ne: true } },
+        { $set: { isReviewed: !!reviewed, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).send({ message: "Lesson not found" });
 
     res.send({ success: true });
 };
 
+const setHidden = async (req, res) => {
+    const oid = mustObjectId(req.params.id);
+    if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
+
+    const { hidden } = req.body;
+    const result = hidden ? await hideLesson(oid, "moderator", req.decoded.email) : await unhideLesson(oid);
+    if (result.matchedCount === 0) return res.status(404).send({ message: "Lesson not found" });
+
+    res.send({ success: true, isHidden: !!hidden });
+};
+
+// removes the lesson and everything that points at it, trashed or not
 const hardDeleteLesson = async (req, res) => {
+    const oid = mustObjectId(req.params.id);
+    if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
+
+    const removed = await purgeLesson(oid);
+    if (!removed) return res.status(404).send({ message: "Lesson not found" });
+    res.send({ success: true, removed });
+};
+
+// ?creator=&page=&limit=
+const adminTrash = async (req, res) => {
     const { lessonsCollection } = await getCollections();
+    const { creator = "", page = "1", limit = "20" } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const filter = { ...TRASHED };
+    if (creator) filter.creatorEmail = String(creator);
+
+    const [lessons, total] = await Promise.all([
+        lessonsCollection
+            .find(filter)
+            .project({ likes: 0 })
+            .sort({ deletedAt: -1, updatedAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .toArray(),
+        lessonsCollection.countDocuments(filter),
+    ]);
+
+    res.send({
+        lessons: lessons.map(withPurgeAt),
+        retentionDays: TRASH_RETENTION_DAYS,
+        pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
+    });
+};
+
+const restoreTrashedLesson = async (req, res) => {
     const oid = mustObjectId(req.params.id);
     if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
 
-    const result = await lessonsCollection.deleteOne({ _id: oid });
-    if (result.deletedCount === 0) return res.status(404).send({ message: "Lesson not found" });
+    const result = await restoreFromTrash(oid);
+    if (result.matchedCount === 0) return res.status(404).send({ message: "Lesson not found in trash" });
     res.send({ success: true });
 };
 
@@ -238,6 +318,9 @@ const groupedReportedLessons = async (req, res) => {
                 $group: {
                     _id: "$lessonId",
                     reportCount: { $sum: 1 },
+                    openCount: {
+                        $sum: { $cond: [{ $in: [{ $ifNull: ["$status", "pending"] }, OPEN_REPORT_STATUSES] }, 1, 0] },
+                    },
                     reports: {
                         $push: {
                             _id: "$_id",
@@ -245,6 +328,8 @@ const groupedReportedLessons = async (req, res) => {
                             message: "$message",
                             reporterEmail: "$reporterEmail",
                             status: "$status",
+                            action: "$action",
+                            moderatorNote: "$moderatorNote",
                             createdAt: "$createdAt",
                         },
                     },
@@ -263,14 +348,17 @@ const groupedReportedLessons = async (req, res) => {
                 $project: {
                     lessonId: "$_id",
                     reportCount: 1,
+                    openCount: 1,
                     reports: 1,
                     lessonTitle: "$lesson.title",
                     lessonDeleted: "$lesson.isDeleted",
                     lessonVisibility: "$lesson.visibility",
+                    lessonHidden: "$lesson.isHidden",
+                    hiddenReason: "$lesson.hiddenReason",
                     category: "$lesson.category",
                 },
             },
-            { $sort: { reportCount: -1 } },
+            { $sort: { openCount: -1, reportCount: -1 } },
         ])
         .toArray();
 
@@ -299,13 +387,134 @@ const groupedReportedLessons = async (req, res) => {
     res.send(out);
 };
 
+const findOpenLessonReports = async (lessonId) => {
+    const { reportsCollection, lessonsCollection } = await getCollections();
+    const [reports, lesson] = await Promise.all([
+        reportsCollection.find(openReportsFilter(lessonId)).toArray(),
+        lessonsCollection.findOne(
+            { _id: lessonId },
+            { projection: { title: 1, creatorEmail: 1, isHidden: 1, hiddenReason: 1 } }
+        ),
+    ]);
+    return { reports, lesson };
+};
+
+// one decision for every open report on the lesson; body: { action: "hide" | "warn" | "dismiss", note }
+const decideLessonReports = async (req, res) => {
+    const lessonId = mustObjectId(req.params.lessonId);
+    if (!lessonId) return res.status(400).send({ message: "Invalid lesson id" });
+
+    const decision = parseDecision(req.body);
+    if (decision.error) return res.status(400).send({ message: decision.error });
+
+    const { reports, lesson } = await findOpenLessonReports(lessonId);
+    if (!reports.length) return res.status(404).send({ message: "No open reports for this lesson" });
+
+    const result = await decideReports({
+        reports,
+        lesson,
+        action: decision.action,
+        note: decision.note,
+        moderatorEmail: req.decoded.email,
+    });
+    res.send({ success: true, ...result });
+};
+
+// dismisses the open reports instead of deleting them, so the history stays
 const ignoreLessonReports = async (req, res) => {
-    const { reportsCollection } = await getCollections();
     const lessonId = mustObjectId(req.params.lessonId);
     if (!lessonId) return res.status(400).send({ message: "Invalid lesson id" });
 
-    const result = await reportsCollection.deleteMany({ lessonId });
-    res.send({ success: true, deleted: result.deletedCount });
+    const { note, error } = readNote(req.body?.note);
+    if (error) return res.status(400).send({ message: error });
+
+    const { reports, lesson } = await findOpenLessonReports(lessonId);
+    const result = await decideReports({ reports, lesson, action: "dismiss", note, moderatorEmail: req.decoded.email });
+    res.send({ success: true, dismissed: result.decided });
+};
+
+const findUserById = async (id) => {
+    const { usersCollection } = await getCollections();
+    const oid = mustObjectId(id);
+    return oid ? usersCollection.findOne({ _id: oid }) : null;
+};
+
+// body: { reason, until | days, hideLessons }; no until/days = permanent
+const suspendAccount = async (req, res) => {
+    const user = await findUserById(req.params.id);
+    if (!user) return res.status(404).send({ message: "User not found" });
+    if (user.email === req.decoded.email) return res.status(400).send({ message: "You cannot suspend yourself" });
+    if (user.role === "admin") return res.status(400).send({ message: "Admins cannot be suspended" });
+
+    const parsed = parseSuspension(req.body);
+    if (parsed.error) return res.status(400).send({ message: parsed.error });
+
+    const suspension = await suspendUser({ user, ...parsed, by: req.decoded.email });
+    res.send({ success: true, suspension });
+};
+
+const liftAccountSuspension = async (req, res) => {
+    const user = await findUserById(req.params.id);
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    const lifted = await liftSuspension({ user, by: req.decoded.email, note: req.body?.note || "" });
+    if (!lifted) return res.status(404).send({ message: "User is not suspended" });
+
+    res.send({ success: true });
+};
+
+// active suspensions; expired ones are lifted first so the list is accurate
+const listSuspensions = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    await liftExpiredSuspensions();
+
+    const users = await usersCollection
+        .find({ suspension: { $exists: true } })
+        .project({ email: 1, name: 1, photoURL: 1, suspension: 1, suspensionHistory: 1 })
+        .sort({ "suspension.createdAt": -1 })
+        .toArray();
+
+    res.send(users.filter((u) => isSuspensionActive(u.suspension)));
+};
+
+// ?actor=&action=&targetType=&targetId=&from=&to=&page=&limit=
+const listAuditLog = async (req, res) => {
+    const { auditLogCollection } = await getCollections();
+    const { actor, action, targetType, targetId, from, to, page = "1", limit = "50" } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+
+    const filter = {};
+    if (actor) filter.actorEmail = String(actor);
+    if (action) filter.action = String(action);
+    if (targetType) filter.targetType = String(targetType);
+    if (targetId) filter.targetId = String(targetId);
+
+    if (from || to) {
+        filter.createdAt = {};
+        for (const [value, op] of [[from, "$gte"], [to, "$lte"]]) {
+            if (!value) continue;
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) return res.status(400).send({ message: "from/to must be valid dates" });
+            filter.createdAt[op] = date;
+        }
+    }
+
+    const [entries, total] = await Promise.all([
+        auditLogCollection
+            .find(filter)
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .toArray(),
+        auditLogCollection.countDocuments(filter),
+    ]);
+
+    res.send({
+        entries,
+        pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
+    });
 };
 
 module.exports = {
@@ -317,7 +526,15 @@ module.exports = {
     toggleLessonVisibility,
     setFeatured,
     setReviewed,
+    setHidden,
     hardDeleteLesson,
+    adminTrash,
+    restoreTrashedLesson,
     groupedReportedLessons,
+    decideLessonReports,
     ignoreLessonReports,
+    listAuditLog,
+    suspendAccount,
+    liftAccountSuspension,
+    listSuspensions,
 };
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { AUTH_PROVIDER } = require("../config/auth");
+const { clientIp } = require("../services/audit.service");
+const {
+    registerAccount,
+    login,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeRefreshToken,
+} = require("../services/auth/local");
+
+const sessionMeta = (req) => ({ userAgent: req.headers["user-agent"] || null, ip: clientIp(req) });
+
+// lets the client pick its sign-in flow
+const getAuthConfig = async (req, res) => {
+    res.send({ provider: AUTH_PROVIDER });
+};
+
+// the routes below only exist for the local provider
+const requireLocalAuth = (req, res, next) => {
+    if (AUTH_PROVIDER !== "local") return res.status(404).send({ message: "Local sign-in is not enabled" });
+    next();
+};
+
+const registerLocal = async (req, res) => {
+    const tokens = await registerAccount(req.body, sessionMeta(req));
+    res.status(201).send(tokens);
+};
+
+const loginLocal = async (req, res) => {
+    res.send(await login(req.body, sessionMeta(req)));
+};
+
+const refreshLocal = async (req, res) => {
+    res.send(await refreshSession(req.body.refreshToken));
+};
+
+// ends the session behind the access token, or the one a refresh token belongs to
+const logoutLocal = async (req, res) => {
+    let revoked = false;
+    if (req.decoded?.sid) revoked = await revokeSession(req.decoded.sid);
+    else if (req.body.refreshToken) revoked = await revokeRefreshToken(req.body.refreshToken);
+    else return res.status(400).send({ message: "An access token or refreshToken is required" });
+
+    res.send({ success: true, revoked });
+};
+
+// signs out every device
+const logoutAllLocal = async (req, res) => {
+    const revoked = await revokeAllSessions(req.decoded.email);
+    res.send({ success: true, revoked });
+};
+
+module.exports = {
+    getAuthConfig,
+    requireLocalAuth,
+    registerLocal,
+    loginLocal,
+    refreshLocal,
+    logoutLocal,
+    logoutAllLocal,
+};
@@ -0,0 +1,229 @@
+const { getCollections, mustObjectId } = require("../config/mongo");
+const { getIsAdmin } = require("../middleware/rbac");
+const { publishComment, unpublishComment } = require("../services/comments.service");
+const { filterContent } = require("../services/contentFilter.service");
+const { contentRejectedError, holdForModeration } = require("../services/moderationQueue.service");
+
+const editWindowMinutes = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10);
+const COMMENT_EDIT_WINDOW_MS = (Number.isNaN(editWindowMinutes) ? 15 : editWindowMinutes) * 60 * 1000;
+const MAX_COMMENT_LENGTH = 2000;
+
+// deleted comments stay in the thread as placeholders so replies keep their context
+const toPublicComment = ({ contentHash, ...c }) =>
+    c.isDeleted
+        ? {
+              _id: c._id,
+              lessonId: c.lessonId,
+              parentId: c.parentId || null,
+              isDeleted: true,
+              text: "",
+              userName: "",
+              userEmail: "",
+              userPhoto: "",
+              replyCount: c.replyCount || 0,
+              createdAt: c.createdAt,
+          }
+        : { ...c, parentId: c.parentId || null, replyCount: c.replyCount || 0 };
+
+// req.lesson is set by verifyLessonReadable
+const getComments = async (req, res) => {
+    const { commentsCollection } = await getCollections();
+    const lesson = req.lesson;
+
+    const { sort = "newest", parentId = "", page = "1", limit = "10" } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    // held comments wait in the moderation queue until approved
+    const filter = { lessonId: lesson._id, held: { $ne: true } };
+    if (parentId) {
+        const parentOid = mustObjectId(parentId);
+        if (!parentOid) return res.status(400).send({ message: "Invalid parent comment id" });
+        filter.parentId = parentOid;
+    } else {
+        // top-level; old comments have no parentId field at all
+        filter.parentId = null;
+    }
+
+    // replies read oldest first so a thread reads top to bottom
+    let sortDoc = { createdAt: parentId ? 1 : -1 };
+    if (sort === "top") sortDoc = { replyCount: -1, createdAt: -1 };
+
+    const [comments, total] = await Promise.all([
+        commentsCollection.find(filter).sort(sortDoc).skip(skip).limit(limitNum).toArray(),
+        commentsCollection.countDocuments(filter),
+    ]);
+
+    res.send({
+        comments: comments.map(toPublicComment),
+        pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
+    });
+};
+
+const addComment = async (req, res) => {
+    const { commentsCollection, usersCollection } = await getCollections();
+    const lesson = req.lesson;
+
+    const { comment, parentId } = req.body || {};
+    if (typeof comment !== "string" || !comment.trim()) {
+        return res.status(400).send({ message: "Comment text is required" });
+    }
+    if (comment.trim().length > MAX_COMMENT_LENGTH) {
+        return res.status(400).send({ message: `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    let parentOid = null;
+    if (parentId) {
+        parentOid = mustObjectId(parentId);
+        if (!parentOid) return res.status(400).send({ message: "Invalid parent comment id" });
+
+        const parent = await commentsCollection.findOne({ _id: parentOid, lessonId: lesson._id });
+        if (!parent || parent.held) return res.status(404).send({ message: "Parent comment not found" });
+        if (parent.isDeleted) return res.status(400).send({ message: "Cannot reply to a deleted comment" });
+    }
+
+    const userEmail = req.decoded.email;
+    const verdict = await filterContent({ kind: "comment", text: comment.trim(), authorEmail: userEmail });
+    if (verdict.action === "reject") throw contentRejectedError(verdict);
+
+    const user = await usersCollection.findOne({ email: userEmail });
+
+    const commentDoc = {
+        lessonId: lesson._id,
+        parentId: parentOid,
+        userName: user?.name || "Anonymous",
+        userEmail,
+        userPhoto: user?.photoURL || "",
+        text: comment.trim(),
+        replyCount: 0,
+        isDeleted: false,
+        held: verdict.action === "hold",
+        contentHash: verdict.contentHash,
+        createdAt: new Date(),
+        editedAt: null,
+    };
+
+    const result = await commentsCollection.insertOne(commentDoc);
+
+    if (commentDoc.held) {
+        await holdForModeration({
+            kind: "comment",
+            targetId: result.insertedId,
+            lessonId: lesson._id,
+            authorEmail: userEmail,
+            text: commentDoc.text,
+            verdict,
+        });
+    } else {
+        await publishComment({ comment: { ...commentDoc, _id: result.insertedId }, lesson });
+    }
+
+    const createdComment = await commentsCollection.findOne({ _id: result.insertedId });
+    res.send(toPublicComment(createdComment));
+};
+
+const findLessonComment = async (params) => {
+    const { commentsCollection } = await getCollections();
+    const lessonOid = mustObjectId(params.id);
+    const commentOid = mustObjectId(params.commentId);
+    if (!lessonOid || !commentOid) return null;
+
+    return commentsCollection.findOne({ _id: commentOid, lessonId: lessonOid, isDeleted: { $ne: true } });
+};
+
+/*
+ * Author only, within the edit window. Edits go through the content filter like new comments;
+ * an edit that gets held takes the comment out of view until a moderator approves it, and a
+ * comment that is already held stays held with its queue item showing the new text.
+ */
+const editComment = async (req, res) => {
+    const { commentsCollection } = await getCollections();
+    const comment = await findLessonComment(req.params);
+    if (!comment) return res.status(404).send({ message: "Comment not found" });
+
+    if (comment.userEmail !== req.decoded.email) return res.status(403).send({ message: "forbidden" });
+
+    if (Date.now() - new Date(comment.createdAt).getTime() > COMMENT_EDIT_WINDOW_MS) {
+        return res.status(403).send({ message: "Edit window has passed" });
+    }
+
+    const { comment: text } = req.body || {};
+    if (typeof text !== "string" || !text.trim()) return res.status(400).send({ message: "Comment text is required" });
+    if (text.trim().length > MAX_COMMENT_LENGTH) {
+        return res.status(400).send({ message: `Comment cannot exceed ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const verdict = await filterContent({
+        kind: "comment",
+        text: text.trim(),
+        authorEmail: comment.userEmail,
+        excludeId: comment._id,
+    });
+    if (verdict.action === "reject") throw contentRejectedError(verdict);
+    const wasHeld = !!comment.held;
+    const held = wasHeld || verdict.action === "hold";
+
+    const result = await commentsCollection.updateOne(
+        { _id: comment._id, held: wasHeld ? true : { $ne: true } },
+        { $set: { text: text.trim(), editedAt: new Date(), contentHash: verdict.contentHash, held } }
+    );
+    // approved or rejected by a moderator in the meantime
+    if (!result.matchedCount) return res.status(409).send({ message: "Comment changed, please try again" });
+
+    if (held) {
+        if (!wasHeld) await unpublishComment(comment);
+        await holdForModeration({
+            kind: "comment",
+            targetId: comment._id,
+            lessonId: comment.lessonId,
+            authorEmail: comment.userEmail,
+            text: text.trim(),
+            verdict,
+        });
+    }
+
+    const updated = await commentsCollection.findOne({ _id: comment._id });
+    res.send(toPublicComment(updated));
+};
+
+// soft delete by the author or an admin (moderation)
+// for trackModeration: the comment exists and was written by someone other than the caller
+const isOthersComment = async (req) => {
+    const comment = await findLessonComment(req.params);
+    return !!comment && comment.userEmail !== req.decoded.email;
+};
+
+const deleteComment = async (req, res) => {
+    const { commentsCollection, lessonsCollection } = await getCollections();
+    const comment = await findLessonComment(req.params);
+    if (!comment) return res.status(404).send({ message: "Comment not found" });
+
+    const email = req.decoded.email;
+    const isAuthor = comment.userEmail === email;
+    if (!isAuthor && !(await getIsAdmin(email))) return res.status(403).send({ message: "forbidden" });
+
+    const result = await commentsCollection.updateOne(
+        { _id: comment._id, isDeleted: { $ne: true } },
+        { $set: { isDeleted: true, deletedAt: new Date(), deletedBy: email, deletedByAdmin: !isAuthor } }
+    );
+
+    // a held comment was never counted
+    if (result.modifiedCount > 0 && !comment.held) {
+        await lessonsCollection.updateOne(
+            { _id: comment.lessonId, commentsCount: { $gt: 0 } },
+            { $inc: { commentsCount: -1 } }
+        );
+        if (comment.parentId) {
+            await commentsCollection.updateOne(
+                { _id: comment.parentId, replyCount: { $gt: 0 } },
+                { $inc: { replyCount: -1 } }
+            );
+        }
+    }
+
+    res.send({ success: true });
+};
+
+module.exports = { getComments, addComment, editComment, isOthersComment, deleteComment };
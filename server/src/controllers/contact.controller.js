@@ -1,4 +1,16 @@
-const { getCollections } = require("../config/mongo");
+const { getCollections, mustObjectId, ObjectId } = require("../config/mongo");
+const { enqueueMail } = require("../services/mail");
+const { filterContent } = require("../services/contentFilter.service");
+const { contentRejectedError, holdForModeration } = require("../services/moderationQueue.service");
+const {
+    canTransition,
+    inboxFilter,
+    unreadFilter,
+    findSender,
+    unreadContactCount,
+} = require("../services/contact.service");
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
 const createContactMessage = async (req, res) => {
     const { contactMessagesCollection } = await getCollections();
@@ -8,17 +20,205 @@ const createContactMessage = async (req, res) => {
         return res.status(400).send({ message: "All fields are required" });
     }
 
+    const text = `${subject.trim()}\n${message.trim()}`;
+    const verdict = await filterContent({ kind: "contact", text, authorEmail: email.trim() });
+    if (verdict.action === "reject") throw contentRejectedError(verdict);
+
+    // linked to the sender's account right away when they are signed up with this email
+    const sender = await findSender(email.trim());
+
+    // a held message stays out of the inbox and gets no acknowledgement until approved
     const doc = {
         name: name.trim(),
         email: email.trim(),
         subject: subject.trim(),
         message: message.trim(),
+        userId: sender?._id || null,
+        contentHash: verdict.contentHash,
         createdAt: new Date(),
-        status: "new",
+        status: verdict.action === "hold" ? "held" : "new",
+        readAt: null,
     };
 
     const result = await contactMessagesCollection.insertOne(doc);
+
+    if (doc.status === "held") {
+        await holdForModeration({ kind: "contact", targetId: result.insertedId, authorEmail: doc.email, text, verdict });
+        return res.send({ success: true, insertedId: result.insertedId });
+    }
+
+    await enqueueMail({
+        to: doc.email,
+        template: "contactAcknowledgement",
+        data: { name: sender?.name },
+        dedupeKey: `contact:${result.insertedId}`,
+    });
+
     res.send({ success: true, insertedId: result.insertedId });
 };
 
-module.exports = { createContactMessage };
\ No newline at end of file
+// admin inbox: ?status=&q=&from=&to=&unread=true&page=&limit=
+const listContactMessages = async (req, res) => {
+    const { contactMessagesCollection } = await getCollections();
+    const { status, q, from, to, unread, page = "1", limit = "20" } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const filter = unread === "true" ? unreadFilter() : inboxFilter();
+    if (status) filter.status = String(status);
+
+    if (q) {
+        const re = { $regex: escapeRegex(String(q).trim()), $options: "i" };
+        filter.$or = [{ name: re }, { email: re }, { subject: re }, { message: re }];
+    }
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [messages, total, unreadCount] = await Promise.all([
+        contactMessagesCollection
+            .find(filter)
+            .project({ notes: 0, replies: 0, statusHistory: 0, contentHash: 0 })
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .toArray(),
+        contactMessagesCollection.countDocuments(filter),
+        unreadContactCount(),
+    ]);
+
+    res.send({
+        messages,
+        unread: unreadCount,
+        pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
+    });
+};
+
+const findInboxMessage = async (id) => {
+    const { contactMessagesCollection } = await getCollections();
+    const oid = mustObjectId(id);
+    return oid ? contactMessagesCollection.findOne({ _id: oid, ...inboxFilter() }) : null;
+};
+
+// opening a message marks it read for the whole team
+const getContactMessage = async (req, res) => {
+    const { contactMessagesCollection } = await getCollections();
+    const message = await findInboxMessage(req.params.id);
+    if (!message) return res.status(404).send({ message: "Message not found" });
+
+    if (!message.readAt) {
+        message.readAt = new Date();
+        message.readBy = req.decoded.email;
+        await contactMessagesCollection.updateOne(
+            { _id: message._id, readAt: null },
+            { $set: { readAt: message.readAt, readBy: message.readBy } }
+        );
+    }
+
+    const sender = await findSender(message.email);
+    const { contentHash, ...rest } = message;
+    res.send({ ...rest, sender, canLinkUser: !!sender && String(sender._id) !== String(message.userId) });
+};
+
+// body: { status }
+const updateContactStatus = async (req, res) => {
+    const { contactMessagesCollection } = await getCollections();
+    const message = await findInboxMessage(req.params.id);
+    if (!message) return res.status(404).send({ message: "Message not found" });
+
+    const { status } = req.body;
+    if (message.status === status) return res.send({ success: true, status });
+    if (!canTransition(message.status, status)) {
+        return res.status(409).send({ message: `Cannot move a message from ${message.status} to ${status}` });
+    }
+
+    const now = new Date();
+    await contactMessagesCollection.updateOne(
+        { _id: message._id, status: message.status },
+        {
+            $set: { status, updatedAt: now, ...(status === "closed" && { closedAt: now, closedBy: req.decoded.email }) },
+            $push: { statusHistory: { from: message.status, to: status, by: req.decoded.email, at: now } },
+        }
+    );
+
+    res.send({ success: true, status });
+};
+
+// internal notes are never sent to the sender; body: { text }
+const addContactNote = async (req, res) => {
+    const { contactMessagesCollection } = await getCollections();
+    const message = await findInboxMessage(req.params.id);
+    if (!message) return res.status(404).send({ message: "Message not found" });
+
+    const note = { _id: new ObjectId(), text: req.body.text, by: req.decoded.email, at: new Date() };
+    await contactMessagesCollection.updateOne(
+        { _id: message._id },
+        { $push: { notes: note }, $set: { updatedAt: note.at } }
+    );
+
+    res.send({ success: true, note });
+};
+
+/*
+ * Records a reply and, unless sendEmail is false (answered by phone, from another mailbox, ...),
+ * emails it to the sender. Replying to a new message puts it in progress.
+ * body: { message, sendEmail }
+ */
+const replyToContact = async (req, res) => {
+    const { contactMessagesCollection } = await getCollections();
+    const message = await findInboxMessage(req.params.id);
+    if (!message) return res.status(404).send({ message: "Message not found" });
+
+    const { message: text, sendEmail = true } = req.body;
+    const reply = { _id: new ObjectId(), message: text, by: req.decoded.email, at: new Date(), emailQueued: false };
+
+    if (sendEmail) {
+        const queued = await enqueueMail({
+            to: message.email,
+            template: "contactReply",
+            data: { name: message.name, subject: message.subject, message: text },
+            dedupeKey: `contact-reply:${reply._id}`,
+        });
+        reply.emailQueued = !!queued;
+    }
+
+    const update = { $push: { replies: reply }, $set: { lastRepliedAt: reply.at, updatedAt: reply.at } };
+    if (message.status === "new") {
+        update.$set.status = "in_progress";
+        update.$push.statusHistory = { from: "new", to: "in_progress", by: reply.by, at: reply.at };
+    }
+    await contactMessagesCollection.updateOne({ _id: message._id }, update);
+
+    res.send({ success: true, reply, status: update.$set.status || message.status });
+};
+
+// links the message to the registered account with the same email (signed up after writing in)
+const linkContactUser = async (req, res) => {
+    const { contactMessagesCollection } = await getCollections();
+    const message = await findInboxMessage(req.params.id);
+    if (!message) return res.status(404).send({ message: "Message not found" });
+
+    const sender = await findSender(message.email);
+    if (!sender) return res.status(404).send({ message: "No registered user with this email" });
+
+    await contactMessagesCollection.updateOne(
+        { _id: message._id },
+        { $set: { userId: sender._id, updatedAt: new Date() } }
+    );
+
+    res.send({ success: true, user: sender });
+};
+
+module.exports = {
+    createContactMessage,
+    listContactMessages,
+    getContactMessage,
+    updateContactStatus,
+    addContactNote,
+    replyToContact,
+    linkContactUser,
+};
@@ -0,0 +1,84 @@
+const { getCollections, mustObjectId } = require("../config/mongo");
+const { WORD_LISTS } = require("../config/contentFilter");
+const { MAX_LIST_WORDS, normalizeWords, getWordLists, saveWordList } = require("../services/contentFilter.service");
+const { QUEUE_DECISIONS, decideQueueItem } = require("../services/moderationQueue.service");
+const { readNote } = require("../services/moderation.service");
+
+// ?status=pending|approved|rejected&kind=comment|contact|lesson&page=&limit=
+const listModerationQueue = async (req, res) => {
+    const { moderationQueueCollection } = await getCollections();
+    const { status = "pending", kind, page = "1", limit = "20" } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const filter = { status: String(status) };
+    if (kind) filter.kind = String(kind);
+
+    const [items, total] = await Promise.all([
+        moderationQueueCollection
+            .find(filter)
+            .sort({ createdAt: status === "pending" ? 1 : -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .toArray(),
+        moderationQueueCollection.countDocuments(filter),
+    ]);
+
+    res.send({
+        items,
+        pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
+    });
+};
+
+// body: { action: approve|reject, note }
+const decideModerationItem = async (req, res) => {
+    const { moderationQueueCollection } = await getCollections();
+    const oid = mustObjectId(req.params.id);
+    if (!oid) return res.status(400).send({ message: "Invalid item id" });
+
+    const { action } = req.body || {};
+    if (!Object.hasOwn(QUEUE_DECISIONS, action)) {
+        return res.status(400).send({ message: `action must be one of: ${Object.keys(QUEUE_DECISIONS).join(", ")}` });
+    }
+    const { note, error } = readNote(req.body.note);
+    if (error) return res.status(400).send({ message: error });
+
+    const item = await moderationQueueCollection.findOne({ _id: oid });
+    if (!item) return res.status(404).send({ message: "Item not found" });
+    if (item.status !== "pending") return res.status(409).send({ message: `Item was already ${item.status}` });
+
+    const decided = await decideQueueItem({ item, action, note, moderatorEmail: req.decoded.email });
+    if (!decided) return res.status(409).send({ message: "Item was already decided" });
+
+    res.send({ success: true, item: decided });
+};
+
+const getWordListsAdmin = async (req, res) => {
+    const lists = await getWordLists({ fresh: true });
+    res.send({
+        lists: Object.entries(WORD_LISTS).map(([name, list]) => ({ name, action: list.action, words: lists[name] })),
+        maxWords: MAX_LIST_WORDS,
+    });
+};
+
+// PUT replaces the list with body.words; PATCH applies body.add / body.remove
+const replaceWordList = async (req, res) => {
+    const words = await saveWordList(req.params.name, req.body.words, req.decoded.email);
+    res.send({ name: req.params.name, words });
+};
+
+const updateWordList = async (req, res) => {
+    const { add = [], remove = [] } = req.body;
+    const current = (await getWordLists({ fresh: true }))[req.params.name];
+
+    const removed = new Set(normalizeWords(remove));
+    const words = await saveWordList(
+        req.params.name,
+        [...current, ...normalizeWords(add)].filter((w) => !removed.has(w)),
+        req.decoded.email
+    );
+    res.send({ name: req.params.name, words });
+};
+
+module.exports = { listModerationQueue, decideModerationItem, getWordListsAdmin, replaceWordList, updateWordList };
@@ -1,4 +1,6 @@
 const { getCollections, mustObjectId } = require("../config/mongo");
+const { notify } = require("../services/notifications.service");
+const { recordLessonEvent, removeLessonEvent } = require("../services/events.service");
 
 const addFavorite = async (req, res) => {
     const { favoritesCollection, lessonsCollection } = await getCollections();
@@ -10,12 +12,17 @@ const addFavorite = async (req, res) => {
     const email = req.decoded.email;
 
     const existing = await favoritesCollection.findOne({ lessonId: lessonObjectId, userEmail: email });
-    if (existing) return res.status(400).send({ message: "Already in favorites" });
+    if (existing) return res.status(409).send({ message: "Already in favorites" });
 
     const favDoc = { lessonId: lessonObjectId, userEmail: email, createdAt: new Date() };
     const result = await favoritesCollection.insertOne(favDoc);
 
     await lessonsCollection.updateOne({ _id: lessonObjectId }, { $inc: { savedCount: 1 } });
+
+    const lesson = await lessonsCollection.findOne({ _id: lessonObjectId }, { projection: { title: 1, creatorEmail: 1 } });
+    await recordLessonEvent({ type: "save", lesson, actorEmail: email });
+    await notify({ type: "favorite", recipientEmail: lesson?.creatorEmail, actorEmail: email, lesson });
+
     res.send(result);
 };
 
@@ -50,6 +57,7 @@ const removeFavorite = async (req, res) => {
     const result = await favoritesCollection.deleteOne({ _id: oid });
 
     await lessonsCollection.updateOne({ _id: fav.lessonId, savedCount: { $gt: 0 } }, { $inc: { savedCount: -1 } });
+    await removeLessonEvent({ type: "save", lessonId: fav.lessonId, actorEmail: email });
     res.send(result);
 };
 
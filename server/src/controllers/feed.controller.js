@@ -0,0 +1,106 @@
+const { getCollections, ObjectId } = require("../config/mongo");
+const { getIsPremium, redactPremiumLesson } = require("../middleware/lessonAccess");
+const { PUBLISHED, publishDueLessons } = require("../services/publishing.service");
+
+// cursor = base64("<createdAt ms>_<lesson id>") of the last item on the previous page
+const encodeCursor = (lesson) =>
+    Buffer.from(`${new Date(lesson.createdAt).getTime()}_${lesson._id}`).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    const [ms, id] = Buffer.from(String(cursor), "base64url").toString("utf8").split("_");
+    const createdAt = new Date(Number(ms));
+    if (!id || !ObjectId.isValid(id) || Number.isNaN(createdAt.getTime())) return null;
+    return { createdAt, _id: new ObjectId(id) };
+};
+
+// categories of lessons the user saved or liked
+const interestCategories = async (email) => {
+    const { favoritesCollection, lessonsCollection } = await getCollections();
+
+    const [fromFavorites, fromLikes] = await Promise.all([
+        favoritesCollection
+            .aggregate([
+                { $match: { userEmail: email } },
+                { $lookup: { from: "lessons", localField: "lessonId", foreignField: "_id", as: "lesson" } },
+                { $unwind: "$lesson" },
+                { $group: { _id: "$lesson.category" } },
+            ])
+            .toArray(),
+        lessonsCollection.distinct("category", { likes: email }),
+    ]);
+
+    return [...new Set([...fromFavorites.map((r) => r._id), ...fromLikes].filter(Boolean))];
+};
+
+/*
+ * GET /feed?cursor=&limit=
+ * Newest public lessons from followed authors merged with lessons from categories the
+ * user has favorited or liked. Each lesson carries `reasons` explaining why it is there.
+ */
+const homeFeed = async (req, res) => {
+    const { followsCollection, lessonsCollection } = await getCollections();
+    const email = req.decoded.email;
+    const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+    let after = null;
+    if (req.query.cursor) {
+        after = decodeCursor(req.query.cursor);
+        if (!after) return res.status(400).send({ message: "Invalid cursor" });
+    }
+
+    const [follows, categories, isPremium] = await Promise.all([
+        followsCollection.find({ followerEmail: email }).project({ followingEmail: 1 }).toArray(),
+        interestCategories(email),
+        getIsPremium(email),
+    ]);
+    const following = follows.map((f) => f.followingEmail);
+
+    if (!following.length && !categories.length) {
+        return res.send({ lessons: [], nextCursor: null, following: 0, categories: [] });
+    }
+
+    await publishDueLessons();
+
+    const sources = [];
+    if (following.length) sources.push({ creatorEmail: { $in: following } });
+    if (categories.length) sources.push({ category: { $in: categories } });
+
+    const and = [
+        { visibility: "public", isDeleted: { $ne: true }, creatorEmail: { $ne: email }, ...PUBLISHED },
+        { $or: sources },
+    ];
+    if (after) {
+        and.push({
+            $or: [{ createdAt: { $lt: after.createdAt } }, { createdAt: after.createdAt, _id: { $lt: after._id } }],
+        });
+    }
+
+    // one extra row tells us whether there is another page
+    const rows = await lessonsCollection
+        .find({ $and: and })
+        .project({ likes: 0 })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limitNum + 1)
+        .toArray();
+
+    const page = rows.slice(0, limitNum);
+    const followingSet = new Set(following);
+    const categorySet = new Set(categories);
+
+    const lessons = page.map((l) => ({
+        ...redactPremiumLesson(l, email, isPremium),
+        reasons: [
+            ...(followingSet.has(l.creatorEmail) ? ["following"] : []),
+            ...(categorySet.has(l.category) ? ["category"] : []),
+        ],
+    }));
+
+    res.send({
+        lessons,
+        nextCursor: rows.length > limitNum ? encodeCursor(page[page.length - 1]) : null,
+        following: following.length,
+        categories,
+    });
+};
+
+module.exports = { homeFeed };
@@ -0,0 +1,98 @@
+const { getCollections } = require("../config/mongo");
+
+const followAuthor = async (req, res) => {
+    const { followsCollection, usersCollection } = await getCollections();
+    const followerEmail = req.decoded.email;
+    const followingEmail = req.params.email;
+
+    if (followerEmail === followingEmail) return res.status(400).send({ message: "You cannot follow yourself" });
+
+    const author = await usersCollection.findOne({ email: followingEmail }, { projection: { _id: 1 } });
+    if (!author) return res.status(404).send({ message: "User not found" });
+
+    let result;
+    try {
+        result = await followsCollection.updateOne(
+            { followerEmail, followingEmail },
+            { $setOnInsert: { followerEmail, followingEmail, createdAt: new Date() } },
+            { upsert: true }
+        );
+    } catch (err) {
+        // duplicate key: a concurrent request inserted the follow first and counted it
+        if (err.code !== 11000) throw err;
+        result = { upsertedCount: 0 };
+    }
+
+    if (result.upsertedCount > 0) {
+        await Promise.all([
+            usersCollection.updateOne({ email: followingEmail }, { $inc: { followersCount: 1 } }),
+            usersCollection.updateOne({ email: followerEmail }, { $inc: { followingCount: 1 } }),
+        ]);
+    }
+
+    res.send({ success: true, following: true });
+};
+
+const unfollowAuthor = async (req, res) => {
+    const { followsCollection, usersCollection } = await getCollections();
+    const followerEmail = req.decoded.email;
+    const followingEmail = req.params.email;
+
+    const result = await followsCollection.deleteOne({ followerEmail, followingEmail });
+
+    if (result.deletedCount > 0) {
+        await Promise.all([
+            usersCollection.updateOne(
+                { email: followingEmail, followersCount: { $gt: 0 } },
+                { $inc: { followersCount: -1 } }
+            ),
+            usersCollection.updateOne(
+                { email: followerEmail, followingCount: { $gt: 0 } },
+                { $inc: { followingCount: -1 } }
+            ),
+        ]);
+    }
+
+    res.send({ success: true, following: false });
+};
+
+// GET /users/:email/follow-stats – isFollowing is relative to the signed-in user
+const followStats = async (req, res) => {
+    const { followsCollection, usersCollection } = await getCollections();
+    const email = req.params.email;
+
+    const user = await usersCollection.findOne({ email }, { projection: { followersCount: 1, followingCount: 1 } });
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    const isFollowing = !!(await followsCollection.findOne({ followerEmail: req.decoded.email, followingEmail: email }));
+
+    res.send({
+        followers: user.followersCount || 0,
+        following: user.followingCount || 0,
+        isFollowing,
+    });
+};
+
+const listFollowing = async (req, res) => {
+    const { followsCollection } = await getCollections();
+    const following = await followsCollection
+        .aggregate([
+            { $match: { followerEmail: req.decoded.email } },
+            { $sort: { createdAt: -1 } },
+            { $lookup: { from: "users", localField: "followingEmail", foreignField: "email", as: "user" } },
+            { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+            {
+                $project: {
+                    email: "$followingEmail",
+                    name: "$user.name",
+                    photoURL: "$user.photoURL",
+                    followedAt: "$createdAt",
+                },
+            },
+        ])
+        .toArray();
+
+    res.send({ following });
+};
+
+module.exports = { followAuthor, unfollowAuthor, followStats, listFollowing };
@@ -0,0 +1,98 @@
+const { stripe } = require("../config/stripe");
+const { getCollections } = require("../config/mongo");
+const { getPlan } = require("../config/plans");
+const { isPremiumActive } = require("../middleware/lessonAccess");
+const { createPlanCheckout, recordGiftRedemption } = require("../services/payments.service");
+const { findApplicablePromo } = require("../services/promo.service");
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// buyer pays once; monthly/yearly gifts grant one period, lifetime gifts never expire
+const createGiftCheckout = async (req, res) => {
+    if (!stripe) return res.status(500).send({ message: "Stripe not configured" });
+
+    const { recipientEmail, plan, promoCode } = req.body || {};
+    const buyerEmail = req.decoded.email;
+
+    const recipient = normalizeEmail(recipientEmail);
+    if (!recipient || !recipient.includes("@")) return res.status(400).send({ message: "Valid recipientEmail is required" });
+    if (recipient === normalizeEmail(buyerEmail)) return res.status(400).send({ message: "You cannot gift premium to yourself" });
+
+    const selectedPlan = getPlan(plan);
+    if (!selectedPlan) return res.status(400).send({ message: "Invalid plan" });
+
+    let promo = null;
+    if (promoCode) {
+        const found = await findApplicablePromo(promoCode, selectedPlan.id);
+        if (found.error) return res.status(400).send({ message: found.error });
+        promo = found.promo;
+    }
+
+    const session = await createPlanCheckout({
+        plan: selectedPlan,
+        email: buyerEmail,
+        metadata: { kind: "gift", recipientEmail: recipient },
+        promo,
+        mode: "payment",
+    });
+
+    res.send({ url: session.url });
+};
+
+// gifts the current user bought (the code is shown here so the buyer can pass it on)
+const myGifts = async (req, res) => {
+    const { giftsCollection } = await getCollections();
+    const gifts = await giftsCollection.find({ buyerEmail: req.decoded.email }).sort({ createdAt: -1 }).toArray();
+    res.send({ gifts });
+};
+
+const redeemGift = async (req, res) => {
+    const { giftsCollection, usersCollection, paymentsCollection } = await getCollections();
+    const code = String(req.body?.code || "").trim().toUpperCase();
+    if (!code) return res.status(400).send({ message: "Gift code is required" });
+
+    const email = req.decoded.email;
+    const gift = await giftsCollection.findOne({ code });
+    if (!gift) return res.status(404).send({ message: "Gift not found" });
+    if (normalizeEmail(gift.recipientEmail) !== normalizeEmail(email)) {
+        return res.status(403).send({ message: "This gift was sent to a different email" });
+    }
+    if (gift.status !== "pending") return res.status(409).send({ message: "Gift has already been redeemed" });
+
+    if (gift.paymentIntent) {
+        const refund = await paymentsCollection.findOne({ paymentIntent: gift.paymentIntent, status: "refunded" });
+        if (refund) return res.status(400).send({ message: "This gift has been refunded" });
+    }
+
+    const user = await usersCollection.findOne({ email });
+    if (isPremiumActive(user) && !user.premiumUntil) {
+        return res.status(409).send({ message: "You already have lifetime Premium access" });
+    }
+
+    // claim first so two concurrent requests can't both redeem
+    const claim = await giftsCollection.updateOne(
+        { _id: gift._id, status: "pending" },
+        { $set: { status: "redeemed", redeemedBy: email, redeemedAt: new Date() } }
+    );
+    if (claim.modifiedCount === 0) return res.status(409).send({ message: "Gift has already been redeemed" });
+
+    // the ledger entry is keyed by gift, so after a rollback the retry picks up where this stopped
+    let isPremium;
+    try {
+        isPremium = await recordGiftRedemption(gift, email, user?.premiumUntil);
+    } catch (err) {
+        await giftsCollection.updateOne(
+            { _id: gift._id, status: "redeemed", redeemedBy: email },
+            { $set: { status: "pending" }, $unset: { redeemedBy: "", redeemedAt: "" } }
+        );
+        throw err;
+    }
+    const updated = await usersCollection.findOne(
+        { email },
+        { projection: { isPremium: 1, planId: 1, premiumUntil: 1 } }
+    );
+
+    res.send({ success: true, isPremium, planId: updated?.planId, premiumUntil: updated?.premiumUntil || null });
+};
+
+module.exports = { createGiftCheckout, myGifts, redeemGift };
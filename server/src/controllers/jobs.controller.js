@@ -0,0 +1,134 @@
+const { getCollections } = require("../config/mongo");
+const { PUBLISHED, publishDueLessons } = require("../services/publishing.service");
+const { enqueueMail, processMailQueue } = require("../services/mail");
+const { recomputeTrending } = require("../services/trending.service");
+const { liftExpiredSuspensions } = require("../services/suspensions.service");
+const { purgeExpiredTrash } = require("../services/trash.service");
+const { processAccountDeletions } = require("../services/accounts.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_BATCH = 200;
+const DIGEST_MAX_LESSONS = 10;
+// stays under the serverless function timeout; whoever is left waits for the next scheduled run
+const DIGEST_TIME_BUDGET_MS = 8 * 1000;
+
+const runMailQueue = async (req, res) => {
+    const result = await processMailQueue({ limit: 100 });
+    res.send({ success: true, ...result });
+};
+
+const runTrending = async (req, res) => {
+    const result = await recomputeTrending();
+    res.send({ success: true, ...result });
+};
+
+const runSuspensions = async (req, res) => {
+    const result = await liftExpiredSuspensions();
+    res.send({ success: true, ...result });
+};
+
+const runTrashPurge = async (req, res) => {
+    const result = await purgeExpiredTrash();
+    res.send({ success: true, ...result });
+};
+
+const runAccountDeletions = async (req, res) => {
+    const result = await processAccountDeletions();
+    res.send({ success: true, ...result });
+};
+
+const favoriteCategories = async (email) => {
+    const { favoritesCollection } = await getCollections();
+    const rows = await favoritesCollection
+        .aggregate([
+            { $match: { userEmail: email } },
+            { $lookup: { from: "lessons", localField: "lessonId", foreignField: "_id", as: "lesson" } },
+            { $unwind: "$lesson" },
+            { $group: { _id: "$lesson.category" } },
+        ])
+        .toArray();
+    return rows.map((r) => r._id).filter(Boolean);
+};
+
+// one user's digest; resolves true when there was something to send
+const sendDigest = async (user, now) => {
+    const { usersCollection, lessonsCollection } = await getCollections();
+
+    const categories = await favoriteCategories(user.email);
+    const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+    const since = user.lastDigestSentAt && user.lastDigestSentAt > weekAgo ? user.lastDigestSentAt : weekAgo;
+
+    const lessons = categories.length
+        ? await lessonsCollection
+              .find({
+                  visibility: "public",
+                  isDeleted: { $ne: true },
+                  ...PUBLISHED,
+                  category: { $in: categories },
+                  creatorEmail: { $ne: user.email },
+                  createdAt: { $gte: since },
+              })
+              .project({ title: 1, shortDescription: 1, category: 1 })
+              .sort({ createdAt: -1 })
+              .limit(DIGEST_MAX_LESSONS)
+              .toArray()
+        : [];
+
+    if (lessons.length) {
+        await enqueueMail({
+            to: user.email,
+            template: "weeklyDigest",
+            data: { name: user.name, lessons },
+            dedupeKey: `digest:${user.email}:${now.toISOString().slice(0, 10)}`,
+        });
+    }
+
+    await usersCollection.updateOne({ _id: user._id }, { $set: { lastDigestSentAt: now } });
+    return lessons.length > 0;
+};
+
+/*
+ * Weekly digest for users with emailPrefs.weeklyDigest: new public lessons in the categories
+ * of their favorites since their last digest. Users are processed in batches until none are
+ * left or the time budget runs out; a run picks up whoever has not had a digest in the last
+ * 6 days, so the follow-up runs scheduled in vercel.json carry on where the last one stopped.
+ */
+const runWeeklyDigest = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - 6 * DAY_MS);
+    const deadline = Date.now() + DIGEST_TIME_BUDGET_MS;
+
+    await publishDueLessons();
+
+    let processed = 0;
+    let sent = 0;
+    let more = true;
+    while (more && Date.now() < deadline) {
+        const users = await usersCollection
+            .find({
+                "emailPrefs.weeklyDigest": true,
+                $or: [{ lastDigestSentAt: { $exists: false } }, { lastDigestSentAt: { $lt: cutoff } }],
+            })
+            .project({ email: 1, name: 1, lastDigestSentAt: 1 })
+            .limit(DIGEST_BATCH)
+            .toArray();
+
+        for (const user of users) {
+            if (await sendDigest(user, now)) sent++;
+        }
+        processed += users.length;
+        more = users.length === DIGEST_BATCH;
+    }
+
+    res.send({ success: true, users: processed, sent, more });
+};
+
+module.exports = {
+    runMailQueue,
+    runTrending,
+    runSuspensions,
+    runTrashPurge,
+    runAccountDeletions,
+    runWeeklyDigest,
+};
@@ -1,5 +1,34 @@
 const { getCollections, mustObjectId } = require("../config/mongo");
-const { getIsPremium } = require("../middleware/lessonAccess");
+const { getIsPremium, checkLessonReadable, redactPremiumLesson } = require("../middleware/lessonAccess");
+const { REVISION_FIELDS, pickTracked, diffSnapshots, recordRevision } = require("../services/revisions.service");
+const {
+    PUBLISHED,
+    PUBLISHED_STATUS,
+    publishDueLessons,
+    resolvePublishState,
+} = require("../services/publishing.service");
+const { normalizeTags, normalizeTag } = require("../services/tags.service");
+const { notify } = require("../services/notifications.service");
+const { rankRelated } = require("../services/related.service");
+const { recordLessonEvent, removeLessonEvent } = require("../services/events.service");
+const { ensureTrendingFresh } = require("../services/trending.service");
+const { ensureLessonTextIndex, buildHighlights, facetCounts } = require("../services/search.service");
+const { filterContent } = require("../services/contentFilter.service");
+const { contentRejectedError, holdForModeration } = require("../services/moderationQueue.service");
+const {
+    TRASH_RETENTION_DAYS,
+    TRASHED,
+    withPurgeAt,
+    moveToTrash,
+    restoreFromTrash,
+    purgeLesson,
+} = require("../services/trash.service");
+
+// the text the content filter looks at
+const lessonText = (lesson) => [lesson.title, lesson.shortDescription, lesson.details].filter(Boolean).join("\n");
+
+// a held lesson is hidden from readers (not from its author) until a moderator approves it
+const heldFields = () => ({ isHidden: true, hiddenReason: "content_filter", hiddenBy: null, hiddenAt: new Date() });
 
 const createLesson = async (req, res) => {
     const { lessonsCollection, usersCollection } = await getCollections();
@@ -9,7 +38,17 @@ const createLesson = async (req, res) => {
         return res.status(400).send({ message: "Title and short description are required" });
     }
 
+    const publishState = resolvePublishState(lesson);
+    if (publishState.error) return res.status(400).send({ message: publishState.error });
+
+    const { tags, error: tagsError } = normalizeTags(lesson.tags ?? []);
+    if (tagsError) return res.status(400).send({ message: tagsError });
+
     const creatorEmail = req.decoded.email;
+    const verdict = await filterContent({ kind: "lesson", text: lessonText(lesson), authorEmail: creatorEmail });
+    if (verdict.action === "reject") throw contentRejectedError(verdict);
+    const held = verdict.action === "hold";
+
     const user = await usersCollection.findOne({ email: creatorEmail });
 
     const doc = {
@@ -18,23 +57,43 @@ const createLesson = async (req, res) => {
         details: lesson.details || "",
         category: lesson.category || "Self-Growth",
         emotionalTone: lesson.emotionalTone || "Reflective",
+        tags,
         accessLevel: lesson.accessLevel || "free",
         visibility: lesson.visibility || "public",
+        status: publishState.status,
+        publishAt: publishState.publishAt,
+        publishedAt: publishState.publishedAt,
         creatorEmail,
         creatorName: lesson.creatorName || user?.name || "",
         creatorPhotoURL: lesson.creatorPhotoURL || user?.photoURL || "",
         savedCount: 0,
         likesCount: 0,
         likes: [],
+        commentsCount: 0,
         createdAt: new Date(),
         updatedAt: new Date(),
         isDeleted: false,
         isFeatured: false,
         isReviewed: false,
+        contentHash: verdict.contentHash,
+        ...(held && heldFields()),
     };
 
     const result = await lessonsCollection.insertOne(doc);
-    res.send(result);
+    const created = { ...doc, _id: result.insertedId };
+    await recordRevision({ before: created, after: created, editorEmail: creatorEmail, action: "create" });
+
+    if (held) {
+        await holdForModeration({
+            kind: "lesson",
+            targetId: result.insertedId,
+            authorEmail: creatorEmail,
+            text: lessonText(doc),
+            verdict,
+        });
+    }
+
+    res.send({ ...result, held });
 };
 
 const myLessons = async (req, res) => {
@@ -44,9 +103,18 @@ const myLessons = async (req, res) => {
 
     if (email !== req.decoded.email) return res.status(403).send({ message: "forbidden" });
 
+    // ?status=draft|scheduled|published to see each group on its own
+    const filter = { creatorEmail: email, isDeleted: { $ne: true } };
+    const { status } = req.query;
+    if (status === "draft" || status === "scheduled") filter.status = status;
+    else if (status === "published") Object.assign(filter, PUBLISHED_STATUS);
+    else if (status) return res.status(400).send({ message: "Invalid status" });
+
+    await publishDueLessons();
+
     const lessons = await lessonsCollection
-        .find({ creatorEmail: email, isDeleted: { $ne: true } })
-        .sort({ createdAt: -1 })
+        .find(filter)
+        .sort(status === "scheduled" ? { publishAt: 1 } : { createdAt: -1 })
         .toArray();
 
     res.send(lessons);
@@ -63,51 +131,112 @@ const deleteMyLesson = async (req, res) => {
     if (!lesson || lesson.isDeleted === true) return res.status(404).send({ message: "Lesson not found" });
     if (lesson.creatorEmail !== email) return res.status(403).send({ message: "forbidden" });
 
-    const result = await lessonsCollection.updateOne(
-        { _id: oid },
-        { $set: { isDeleted: true, updatedAt: new Date() } }
-    );
-
+    const result = await moveToTrash(oid, { by: email });
     res.send(result);
 };
 
+// the owner's deleted lessons, each with the date it will be purged
+const myTrash = async (req, res) => {
+    const { lessonsCollection } = await getCollections();
+    const lessons = await lessonsCollection
+        .find({ creatorEmail: req.decoded.email, ...TRASHED })
+        .project({ likes: 0 })
+        .sort({ deletedAt: -1, updatedAt: -1 })
+        .toArray();
+
+    res.send({ lessons: lessons.map(withPurgeAt), retentionDays: TRASH_RETENTION_DAYS });
+};
+
+// returns { lesson } or { status, message } to send back
+const findMyTrashedLesson = async (id, email) => {
+    const { lessonsCollection } = await getCollections();
+    const oid = mustObjectId(id);
+    if (!oid) return { status: 400, message: "Invalid lesson id" };
+
+    const lesson = await lessonsCollection.findOne({ _id: oid, ...TRASHED });
+    if (!lesson) return { status: 404, message: "Lesson not found in trash" };
+    if (lesson.creatorEmail !== email) return { status: 403, message: "forbidden" };
+    return { lesson };
+};
+
+// lessons removed by a moderator can only be restored by an admin
+const restoreMyLesson = async (req, res) => {
+    const { lesson, status, message } = await findMyTrashedLesson(req.params.id, req.decoded.email);
+    if (!lesson) return res.status(status).send({ message });
+    if (lesson.deletedByAdmin) return res.status(403).send({ message: "This lesson was removed by a moderator" });
+
+    await restoreFromTrash(lesson._id);
+    res.send({ success: true });
+};
+
+// "delete forever" from the trash, skipping the retention period
+const purgeMyLesson = async (req, res) => {
+    const { lesson, status, message } = await findMyTrashedLesson(req.params.id, req.decoded.email);
+    if (!lesson) return res.status(status).send({ message });
+
+    const removed = await purgeLesson(lesson._id);
+    res.send({ success: true, removed });
+};
+
 const publicLessons = async (req, res) => {
     const { lessonsCollection } = await getCollections();
-    const { search = "", category = "", tone = "", sort = "newest", page = "1", limit = "9" } = req.query;
+    const { search = "", category = "", tone = "", tags = "", sort = "", page = "1", limit = "9" } = req.query;
 
     const pageNum = Math.max(1, parseInt(page, 10) || 1);
     const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 9));
     const skip = (pageNum - 1) * limitNum;
 
-    const filter = { visibility: "public", isDeleted: { $ne: true } };
+    const q = String(search).trim().slice(0, 200);
 
+    await publishDueLessons();
+
+    const base = { visibility: "public", isDeleted: { $ne: true }, ...PUBLISHED };
+    if (q) {
+        await ensureLessonTextIndex();
+        base.$text = { $search: q };
+    }
+
+    // ?tags=a,b -> lessons tagged with all of them
+    const tagList = [...new Set(String(tags).split(",").map(normalizeTag).filter(Boolean))];
+    if (tagList.length) base.tags = { $all: tagList };
+
+    const filter = { ...base };
     if (category) filter.category = category;
     if (tone) filter.emotionalTone = tone;
 
-    if (search.trim()) {
-        filter.$or = [
-            { title: { $regex: search.trim(), $options: "i" } },
-            { shortDescription: { $regex: search.trim(), $options: "i" } },
-        ];
+    // relevance is the default while searching, newest otherwise
+    const sortBy = sort || (q ? "relevance" : "newest");
+    let sortDoc = { createdAt: -1 };
+    if (sortBy === "mostSaved") sortDoc = { savedCount: -1, createdAt: -1 };
+    if (sortBy === "trending") {
+        await ensureTrendingFresh();
+        sortDoc = { trendingScore: -1, createdAt: -1 };
     }
+    if (sortBy === "relevance" && q) sortDoc = { score: { $meta: "textScore" }, createdAt: -1 };
 
-    const sortDoc = sort === "mostSaved" ? { savedCount: -1, createdAt: -1 } : { createdAt: -1 };
+    let cursor = lessonsCollection.find(filter);
+    if (q) cursor = cursor.project({ score: { $meta: "textScore" } });
 
-    const [lessons, total] = await Promise.all([
-        lessonsCollection.find(filter).sort(sortDoc).skip(skip).limit(limitNum).toArray(),
+    // each facet ignores its own filter so the UI can offer the other values
+    const [lessons, total, categoryFacet, toneFacet] = await Promise.all([
+        cursor.sort(sortDoc).skip(skip).limit(limitNum).toArray(),
         lessonsCollection.countDocuments(filter),
+        facetCounts(lessonsCollection, tone ? { ...base, emotionalTone: tone } : base, "category"),
+        facetCounts(lessonsCollection, category ? { ...base, category } : base, "emotionalTone"),
     ]);
 
     res.send({
-        lessons,
+        lessons: q ? lessons.map((l) => ({ ...l, highlights: buildHighlights(l, q) })) : lessons,
+        facets: { category: categoryFacet, emotionalTone: toneFacet },
         pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
     });
 };
 
 const featuredLessons = async (req, res) => {
     const { lessonsCollection } = await getCollections();
+    await publishDueLessons();
     const lessons = await lessonsCollection
-        .find({ visibility: "public", isDeleted: { $ne: true }, isFeatured: true })
+        .find({ visibility: "public", isDeleted: { $ne: true }, isFeatured: true, ...PUBLISHED })
         .sort({ createdAt: -1 })
         .limit(6)
         .toArray();
@@ -116,103 +245,200 @@ const featuredLessons = async (req, res) => {
 
 const mostSavedLessons = async (req, res) => {
     const { lessonsCollection } = await getCollections();
+    await publishDueLessons();
     const lessons = await lessonsCollection
-        .find({ visibility: "public", isDeleted: { $ne: true } })
+        .find({ visibility: "public", isDeleted: { $ne: true }, ...PUBLISHED })
         .sort({ savedCount: -1 })
         .limit(6)
         .toArray();
     res.send({ lessons });
 };
 
+// GET /lessons/trending?variant=rising&limit=6
+const trendingLessons = async (req, res) => {
+    const { lessonsCollection } = await getCollections();
+    const rising = req.query.variant === "rising";
+    const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 6));
+    const scoreField = rising ? "risingScore" : "trendingScore";
+
+    await Promise.all([publishDueLessons(), ensureTrendingFresh()]);
+
+    const lessons = await lessonsCollection
+        .find({ visibility: "public", isDeleted: { $ne: true }, ...PUBLISHED, [scoreField]: { $gt: 0 } })
+        .project({ likes: 0 })
+        .sort({ [scoreField]: -1, createdAt: -1 })
+        .limit(limitNum)
+        .toArray();
+
+    res.send({ variant: rising ? "rising" : "trending", lessons });
+};
+
 const lessonDetails = async (req, res) => {
     const { lessonsCollection } = await getCollections();
     const oid = mustObjectId(req.params.id);
     if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
 
     const lesson = await lessonsCollection.findOne({ _id: oid, isDeleted: { $ne: true } });
-    if (!lesson) return res.status(404).send({ message: "Lesson not found" });
-
-    if (lesson.accessLevel === "premium") {
-        const email = req.decoded?.email;
-        const isOwner = lesson.creatorEmail === email;
-        const isPremium = await getIsPremium(email);
-        if (!isPremium && !isOwner) return res.status(403).send({ message: "Premium access required" });
-    }
+    const denied = await checkLessonReadable(lesson, req.decoded?.email);
+    if (denied) return res.status(denied.status).send({ message: denied.message });
+
+    await recordLessonEvent({
+        type: "view",
+        lesson,
+        actorEmail: req.decoded?.email,
+        sessionId: req.headers["x-session-id"],
+    });
 
     res.send(lesson);
 };
 
+const RELATED_CANDIDATE_LIMIT = 300;
+const CO_FAVORITE_USER_LIMIT = 500;
+
+// GET /lessons/:id/related?limit=6 – req.lesson is set by verifyLessonReadable
+const relatedLessons = async (req, res) => {
+    const { lessonsCollection, favoritesCollection } = await getCollections();
+    const source = req.lesson;
+    // "" for anonymous readers, so the $ne filters below still exclude nothing real
+    const email = req.decoded?.email || "";
+    const limitNum = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 6));
+
+    const [myFavorites, fans, isPremium] = await Promise.all([
+        email ? favoritesCollection.distinct("lessonId", { userEmail: email }) : [],
+        favoritesCollection
+            .find({ lessonId: source._id, userEmail: { $ne: email } })
+            .project({ userEmail: 1 })
+            .sort({ _id: 1 })
+            .limit(CO_FAVORITE_USER_LIMIT)
+            .toArray(),
+        getIsPremium(email),
+    ]);
+
+    // "people who saved this also saved"
+    const coFavoriteRows = fans.length
+        ? await favoritesCollection
+              .aggregate([
+                  { $match: { userEmail: { $in: fans.map((f) => f.userEmail) }, lessonId: { $ne: source._id } } },
+                  { $group: { _id: "$lessonId", count: { $sum: 1 } } },
+                  { $sort: { count: -1, _id: 1 } },
+                  { $limit: RELATED_CANDIDATE_LIMIT },
+              ])
+              .toArray()
+        : [];
+    const coFavoriteCounts = new Map(coFavoriteRows.map((r) => [String(r._id), r.count]));
+
+    const signals = [{ _id: { $in: coFavoriteRows.map((r) => r._id) } }];
+    if (source.category) signals.push({ category: source.category });
+    if (source.emotionalTone) signals.push({ emotionalTone: source.emotionalTone });
+    if (source.tags?.length) signals.push({ tags: { $in: source.tags } });
+
+    const candidates = await lessonsCollection
+        .find({
+            $and: [
+                { visibility: "public", isDeleted: { $ne: true }, ...PUBLISHED },
+                { _id: { $nin: [source._id, ...myFavorites] }, creatorEmail: { $ne: email } },
+                { $or: signals },
+            ],
+        })
+        .project({ likes: 0 })
+        .sort({ savedCount: -1, _id: 1 })
+        .limit(RELATED_CANDIDATE_LIMIT)
+        .toArray();
+
+    const ranked = rankRelated(source, candidates, coFavoriteCounts, limitNum);
+
+    res.send({
+        lessons: ranked.map((r) => ({
+            ...redactPremiumLesson(r.lesson, email, isPremium),
+            score: r.score,
+            reasons: r.reasons,
+        })),
+    });
+};
+
+// req.lesson is set by verifyLessonOwnerOrAdmin
 const updateLesson = async (req, res) => {
     const { lessonsCollection } = await getCollections();
     const oid = mustObjectId(req.params.id);
     if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
 
     const body = req.body || {};
-    const allowedFields = ["title", "shortDescription", "details", "category", "emotionalTone", "accessLevel", "visibility"];
 
     const updateDoc = { $set: { updatedAt: new Date() } };
-    for (const f of allowedFields) if (body[f] !== undefined) updateDoc.$set[f] = body[f];
+    for (const f of REVISION_FIELDS) if (body[f] !== undefined) updateDoc.$set[f] = body[f];
+
+    if (body.tags !== undefined) {
+        const { tags, error } = normalizeTags(body.tags);
+        if (error) return res.status(400).send({ message: error });
+        updateDoc.$set.tags = tags;
+    }
+
+    if (body.status !== undefined || body.publishAt !== undefined) {
+        const publishState = resolvePublishState(body, req.lesson);
+        if (publishState.error) return res.status(400).send({ message: publishState.error });
+        Object.assign(updateDoc.$set, publishState);
+    }
+
+    // text changes go through the content filter again
+    let verdict = null;
+    if (["title", "shortDescription", "details"].some((f) => body[f] !== undefined)) {
+        verdict = await filterContent({
+            kind: "lesson",
+            text: lessonText({ ...req.lesson, ...updateDoc.$set }),
+            authorEmail: req.lesson.creatorEmail,
+            excludeId: oid,
+        });
+        if (verdict.action === "reject") throw contentRejectedError(verdict);
+
+        updateDoc.$set.contentHash = verdict.contentHash;
+        // don't take over a moderator's or a suspension's hide
+        if (verdict.action === "hold" && !req.lesson.isHidden) Object.assign(updateDoc.$set, heldFields());
+    }
+    const held = verdict?.action === "hold";
 
     const result = await lessonsCollection.updateOne({ _id: oid }, updateDoc);
-    res.send(result);
+
+    const after = { ...req.lesson, ...updateDoc.$set };
+    if (held) {
+        await holdForModeration({
+            kind: "lesson",
+            targetId: oid,
+            authorEmail: req.lesson.creatorEmail,
+            text: lessonText(after),
+            verdict,
+        });
+    }
+
+    if (Object.keys(diffSnapshots(pickTracked(req.lesson), pickTracked(after))).length) {
+        await recordRevision({ before: req.lesson, after, editorEmail: req.decoded.email });
+    }
+
+    res.send({ ...result, held });
 };
 
+// req.lesson is set by verifyLessonReadable
 const toggleLike = async (req, res) => {
     const { lessonsCollection } = await getCollections();
-    const oid = mustObjectId(req.params.id);
-    if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
-
+    const lesson = req.lesson;
+    const oid = lesson._id;
     const userId = req.decoded.email;
-    const lesson = await lessonsCollection.findOne({ _id: oid, isDeleted: { $ne: true } });
-    if (!lesson) return res.status(404).send({ message: "Lesson not found" });
 
     const likes = lesson.likes || [];
     const hasLiked = likes.includes(userId);
 
     if (hasLiked) {
         await lessonsCollection.updateOne({ _id: oid }, { $pull: { likes: userId }, $inc: { likesCount: -1 } });
+        await removeLessonEvent({ type: "like", lessonId: oid, actorEmail: userId });
     } else {
         await lessonsCollection.updateOne({ _id: oid }, { $addToSet: { likes: userId }, $inc: { likesCount: 1 } });
+        await recordLessonEvent({ type: "like", lesson, actorEmail: userId });
+        await notify({ type: "like", recipientEmail: lesson.creatorEmail, actorEmail: userId, lesson });
     }
 
     const updatedLesson = await lessonsCollection.findOne({ _id: oid });
     res.send({ success: true, liked: !hasLiked, likesCount: updatedLesson?.likesCount || 0 });
 };
 
-const getComments = async (req, res) => {
-    const { commentsCollection } = await getCollections();
-    const oid = mustObjectId(req.params.id);
-    if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
-
-    const comments = await commentsCollection.find({ lessonId: oid }).sort({ createdAt: -1 }).toArray();
-    res.send({ comments });
-};
-
-const addComment = async (req, res) => {
-    const { commentsCollection, usersCollection } = await getCollections();
-    const oid = mustObjectId(req.params.id);
-    if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
-
-    const { comment } = req.body;
-    if (!comment || !comment.trim()) return res.status(400).send({ message: "Comment text is required" });
-
-    const userEmail = req.decoded.email;
-    const user = await usersCollection.findOne({ email: userEmail });
-
-    const commentDoc = {
-        lessonId: oid,
-        userName: user?.name || "Anonymous",
-        userEmail,
-        userPhoto: user?.photoURL || "",
-        text: comment.trim(),
-        createdAt: new Date(),
-    };
-
-    const result = await commentsCollection.insertOne(commentDoc);
-    const createdComment = await commentsCollection.findOne({ _id: result.insertedId });
-    res.send(createdComment);
-};
-
 // admin-only: list lessons at /lessons (existing)
 const adminLessonsRaw = async (req, res) => {
     const { lessonsCollection } = await getCollections();
@@ -222,14 +448,10 @@ const adminLessonsRaw = async (req, res) => {
 
 // admin-only: soft delete at /lessons/:id (existing)
 const adminDeleteLesson = async (req, res) => {
-    const { lessonsCollection } = await getCollections();
     const oid = mustObjectId(req.params.id);
     if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
 
-    const result = await lessonsCollection.updateOne(
-        { _id: oid },
-        { $set: { isDeleted: true, updatedAt: new Date() } }
-    );
+    const result = await moveToTrash(oid, { by: req.decoded.email, byAdmin: true });
     res.send(result);
 };
 
@@ -237,14 +459,17 @@ module.exports = {
     createLesson,
     myLessons,
     deleteMyLesson,
+    myTrash,
+    restoreMyLesson,
+    purgeMyLesson,
     publicLessons,
     featuredLessons,
     mostSavedLessons,
+    trendingLessons,
     lessonDetails,
+    relatedLessons,
     updateLesson,
     toggleLike,
-    getComments,
-    addComment,
     adminLessonsRaw,
     adminDeleteLesson,
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+const { getCollections, mustObjectId } = require("../config/mongo");
+const { NOTIFICATION_TYPES, getPreferences, formatMessage } = require("../services/notifications.service");
+
+const toPublicNotification = (n) => {
+    const { actorEmails, ...rest } = n;
+    return { ...rest, message: formatMessage(n) };
+};
+
+const listNotifications = async (req, res) => {
+    const { notificationsCollection } = await getCollections();
+    const { unread = "", page = "1", limit = "20" } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { recipientEmail: req.decoded.email };
+    if (unread === "true") filter.isRead = false;
+
+    const [notifications, total] = await Promise.all([
+        notificationsCollection.find(filter).sort({ updatedAt: -1 }).skip(skip).limit(limitNum).toArray(),
+        notificationsCollection.countDocuments(filter),
+    ]);
+
+    res.send({
+        notifications: notifications.map(toPublicNotification),
+        pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
+    });
+};
+
+const unreadCount = async (req, res) => {
+    const { notificationsCollection } = await getCollections();
+    const count = await notificationsCollection.countDocuments({ recipientEmail: req.decoded.email, isRead: false });
+    res.send({ count });
+};
+
+const markRead = async (req, res) => {
+    const { notificationsCollection } = await getCollections();
+    const oid = mustObjectId(req.params.id);
+    if (!oid) return res.status(400).send({ message: "Invalid notification id" });
+
+    const result = await notificationsCollection.updateOne(
+        { _id: oid, recipientEmail: req.decoded.email },
+        { $set: { isRead: true, readAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).send({ message: "Notification not found" });
+
+    res.send({ success: true });
+};
+
+const markAllRead = async (req, res) => {
+    const { notificationsCollection } = await getCollections();
+    const result = await notificationsCollection.updateMany(
+        { recipientEmail: req.decoded.email, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } }
+    );
+    res.send({ success: true, updated: result.modifiedCount });
+};
+
+const getNotificationPreferences = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOne({ email: req.decoded.email }, { projection: { notificationPrefs: 1 } });
+    res.send({ preferences: getPreferences(user) });
+};
+
+// PATCH body: { like: false, comment: true, ... } – unknown keys are rejected
+const updateNotificationPreferences = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    const body = req.body || {};
+
+    const $set = { updatedAt: new Date() };
+    for (const [type, enabled] of Object.entries(body)) {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+            return res.status(400).send({ message: `Unknown notification type: ${type}` });
+        }
+        if (typeof enabled !== "boolean") return res.status(400).send({ message: `${type} must be true or false` });
+        $set[`notificationPrefs.${type}`] = enabled;
+    }
+
+    await usersCollection.updateOne({ email: req.decoded.email }, { $set });
+    const user = await usersCollection.findOne({ email: req.decoded.email }, { projection: { notificationPrefs: 1 } });
+    res.send({ preferences: getPreferences(user) });
+};
+
+module.exports = {
+    listNotifications,
+    unreadCount,
+    markRead,
+    markAllRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+};
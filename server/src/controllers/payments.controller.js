@@ -1,77 +1,164 @@
 const { stripe } = require("../config/stripe");
 const { getCollections } = require("../config/mongo");
+const { PLANS, getPlan } = require("../config/plans");
+const { isPremiumActive } = require("../middleware/lessonAccess");
+const { HANDLED_EVENTS, createPlanCheckout, recordPaymentEvent } = require("../services/payments.service");
+const { findApplicablePromo } = require("../services/promo.service");
+
+const listPlans = async (req, res) => {
+    res.send({ plans: Object.values(PLANS) });
+};
 
 const createCheckoutSession = async (req, res) => {
     if (!stripe) return res.status(500).send({ message: "Stripe not configured" });
 
     const { usersCollection } = await getCollections();
-    const { email, plan } = req.body;
+    const { plan, promoCode } = req.body;
+    const email = req.decoded.email;
 
-    if (!email) return res.status(400).send({ message: "Email is required" });
+    const selectedPlan = getPlan(plan);
+    if (!selectedPlan) return res.status(400).send({ message: "Invalid plan" });
 
     const existingUser = await usersCollection.findOne({ email });
-    if (existingUser?.isPremium) {
-        return res.status(400).send({ message: "You are already a Premium user. Lifetime access is active." });
+    if (isPremiumActive(existingUser)) {
+        if (!existingUser.premiumUntil) {
+            return res.status(409).send({ message: "You are already a Premium user. Lifetime access is active." });
+        }
+        if (selectedPlan.mode === "subscription") {
+            return res.status(409).send({ message: "You already have an active subscription." });
+        }
+        // lifetime doesn't stop a running subscription, it would keep billing on top
+        const renewing = existingUser.subscriptionStatus !== "canceled" && !existingUser.cancelAtPeriodEnd;
+        if (existingUser.subscriptionId && renewing) {
+            return res.status(409).send({ message: "Cancel your subscription before buying lifetime access." });
+        }
     }
 
-    const amount = 1500 * 100;
-
-    const session = await stripe.checkout.sessions.create({
-        payment_method_types: ["card"],
-        mode: "payment",
-        customer_email: email,
-        line_items: [
-            {
-                price_data: {
-                    currency: "bdt",
-                    unit_amount: amount,
-                    product_data: { name: "Digital Life Lessons Premium – Lifetime" },
-                },
-                quantity: 1,
-            },
-        ],
-        metadata: { email, plan: plan || "premium_lifetime" },
-        success_url: `${process.env.SITE_DOMAIN}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
-        cancel_url: `${process.env.SITE_DOMAIN}/payment/cancel`,
-    });
+    let promo = null;
+    if (promoCode) {
+        const found = await findApplicablePromo(promoCode, selectedPlan.id);
+        if (found.error) return res.status(400).send({ message: found.error });
+        promo = found.promo;
+    }
+
+    const session = await createPlanCheckout({ plan: selectedPlan, email, promo });
 
     res.send({ url: session.url });
 };
 
+// read-only: premium is granted by the Stripe webhook, this only reports what the ledger says
 const paymentSuccess = async (req, res) => {
-    if (!stripe) return res.status(500).send({ message: "Stripe not configured" });
-
-    const { usersCollection } = await getCollections();
+    const { paymentsCollection, usersCollection } = await getCollections();
     const sessionId = req.query.session_id;
     if (!sessionId) return res.status(400).send({ message: "session_id is required" });
 
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-    const email = session.customer_email || session.metadata?.email;
-
-    if (session.payment_status === "paid" && email) {
-        const filter = { email };
-        const updateDoc = {
-            $set: {
-                email,
-                isPremium: true,
-                premiumSince: new Date(),
-                lastTransactionId: session.payment_intent,
-            },
-            $setOnInsert: { createdAt: new Date() },
-        };
-
-        const result = await usersCollection.updateOne(filter, updateDoc, { upsert: true });
+    const entry = await paymentsCollection.findOne({ sessionId, type: "checkout.session.completed" });
 
+    if (!entry) {
+        if (!stripe) return res.status(500).send({ message: "Stripe not configured" });
+        const session = await stripe.checkout.sessions.retrieve(sessionId);
         return res.send({
-            success: true,
-            email,
-            transactionId: session.payment_intent,
+            success: false,
+            pending: session.payment_status === "paid",
+            message: "Payment is being processed",
             paymentStatus: session.payment_status,
-            dbResult: result,
         });
     }
 
-    res.send({ success: false, message: "Payment not completed", paymentStatus: session.payment_status });
+    const user = await usersCollection.findOne(
+        { email: entry.email },
+        { projection: { isPremium: 1, premiumUntil: 1, planId: 1 } }
+    );
+    const isPremium = isPremiumActive(user);
+
+    res.send({
+        success: entry.status === "paid" && isPremium,
+        email: entry.email,
+        transactionId: entry.paymentIntent || entry.subscriptionId,
+        paymentStatus: entry.status,
+        isPremium,
+        planId: user?.planId || entry.plan,
+        premiumUntil: user?.premiumUntil || null,
+    });
 };
 
-module.exports = { createCheckoutSession, paymentSuccess };
\ No newline at end of file
+const stripeWebhook = async (req, res) => {
+    if (!stripe) return res.status(500).send({ message: "Stripe not configured" });
+    if (!process.env.STRIPE_WEBHOOK_SECRET) return res.status(500).send({ message: "Webhook secret not configured" });
+
+    const signature = req.headers["stripe-signature"];
+    if (!signature) return res.status(400).send({ message: "Missing stripe-signature header" });
+
+    let event;
+    try {
+        event = stripe.webhooks.constructEvent(req.body, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+        return res.status(400).send({ message: `Webhook signature verification failed: ${err.message}` });
+    }
+
+    if (!HANDLED_EVENTS.includes(event.type)) return res.send({ received: true, ignored: true });
+
+    const result = await recordPaymentEvent(event);
+    res.send({ received: true, duplicate: !!result.duplicate });
+};
+
+const getMySubscription = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOne(
+        { email: req.decoded.email },
+        {
+            projection: {
+                isPremium: 1,
+                planId: 1,
+                premiumSince: 1,
+                premiumUntil: 1,
+                subscriptionId: 1,
+                subscriptionStatus: 1,
+                cancelAtPeriodEnd: 1,
+            },
+        }
+    );
+
+    const active = isPremiumActive(user);
+
+    res.send({
+        isPremium: active,
+        plan: active ? getPlan(user?.planId) : null,
+        premiumSince: user?.premiumSince || null,
+        premiumUntil: user?.premiumUntil || null,
+        subscriptionId: user?.subscriptionId || null,
+        subscriptionStatus: user?.subscriptionStatus || null,
+        cancelAtPeriodEnd: !!user?.cancelAtPeriodEnd,
+    });
+};
+
+// cancels at period end, access stays until premiumUntil (the webhook keeps the ledger in sync)
+const cancelMySubscription = async (req, res) => {
+    if (!stripe) return res.status(500).send({ message: "Stripe not configured" });
+
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+
+    if (!user?.subscriptionId || !user.premiumUntil) {
+        return res.status(400).send({ message: "No active subscription" });
+    }
+    if (user.cancelAtPeriodEnd) return res.status(409).send({ message: "Subscription is already canceled" });
+
+    const subscription = await stripe.subscriptions.update(user.subscriptionId, { cancel_at_period_end: true });
+
+    await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { cancelAtPeriodEnd: true, subscriptionStatus: subscription.status, updatedAt: new Date() } }
+    );
+
+    res.send({ success: true, cancelAtPeriodEnd: true, premiumUntil: user.premiumUntil });
+};
+
+module.exports = {
+    listPlans,
+    createCheckoutSession,
+    paymentSuccess,
+    stripeWebhook,
+    getMySubscription,
+    cancelMySubscription,
+};
@@ -0,0 +1,114 @@
+const { getCollections, mustObjectId } = require("../config/mongo");
+const { PLANS, getPlan } = require("../config/plans");
+const { normalizeCode, discountedAmount, findApplicablePromo } = require("../services/promo.service");
+
+const PROMO_TYPES = ["percent", "fixed"];
+
+const validatePromoFields = (body) => {
+    const { type, value, maxRedemptions, expiresAt, planIds } = body;
+
+    if (type !== undefined && !PROMO_TYPES.includes(type)) return "type must be percent or fixed";
+    if (value !== undefined) {
+        const num = Number(value);
+        if (!Number.isFinite(num) || num <= 0) return "value must be a positive number";
+        if (type === "percent" && num > 100) return "percent value cannot exceed 100";
+    }
+    if (maxRedemptions !== undefined && maxRedemptions !== null) {
+        if (!Number.isInteger(Number(maxRedemptions)) || Number(maxRedemptions) < 1) {
+            return "maxRedemptions must be a positive integer";
+        }
+    }
+    if (expiresAt !== undefined && expiresAt !== null && Number.isNaN(new Date(expiresAt).getTime())) {
+        return "expiresAt must be a valid date";
+    }
+    if (planIds !== undefined) {
+        if (!Array.isArray(planIds) || planIds.some((id) => !PLANS[id])) return "planIds contains an unknown plan";
+    }
+    return null;
+};
+
+const createPromoCode = async (req, res) => {
+    const { promoCodesCollection } = await getCollections();
+    const body = req.body || {};
+    const code = normalizeCode(body.code);
+
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+        return res.status(400).send({ message: "code must be 3-32 letters, digits, _ or -" });
+    }
+    if (!body.type || body.value === undefined) return res.status(400).send({ message: "type and value are required" });
+
+    const invalid = validatePromoFields(body);
+    if (invalid) return res.status(400).send({ message: invalid });
+
+    const existing = await promoCodesCollection.findOne({ code });
+    if (existing) return res.status(409).send({ message: "Promo code already exists" });
+
+    const doc = {
+        code,
+        type: body.type,
+        value: Number(body.value),
+        maxRedemptions: body.maxRedemptions ? Number(body.maxRedemptions) : null,
+        redeemedCount: 0,
+        expiresAt: body.expiresAt ? new Date(body.expiresAt) : null,
+        planIds: body.planIds || [],
+        active: true,
+        createdBy: req.decoded.email,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+    };
+
+    const result = await promoCodesCollection.insertOne(doc);
+    res.send({ ...doc, _id: result.insertedId });
+};
+
+const listPromoCodes = async (req, res) => {
+    const { promoCodesCollection } = await getCollections();
+    const promoCodes = await promoCodesCollection.find().sort({ createdAt: -1 }).toArray();
+    res.send({ promoCodes });
+};
+
+// type/value are fixed once created (the Stripe coupon mirrors them), everything else can change
+const updatePromoCode = async (req, res) => {
+    const { promoCodesCollection } = await getCollections();
+    const oid = mustObjectId(req.params.id);
+    if (!oid) return res.status(400).send({ message: "Invalid promo code id" });
+
+    const body = req.body || {};
+    const invalid = validatePromoFields({ maxRedemptions: body.maxRedemptions, expiresAt: body.expiresAt, planIds: body.planIds });
+    if (invalid) return res.status(400).send({ message: invalid });
+
+    const $set = { updatedAt: new Date() };
+    if (body.active !== undefined) $set.active = !!body.active;
+    if (body.maxRedemptions !== undefined) $set.maxRedemptions = body.maxRedemptions ? Number(body.maxRedemptions) : null;
+    if (body.expiresAt !== undefined) $set.expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    if (body.planIds !== undefined) $set.planIds = body.planIds;
+
+    const result = await promoCodesCollection.updateOne({ _id: oid }, { $set });
+    if (result.matchedCount === 0) return res.status(404).send({ message: "Promo code not found" });
+    res.send(result);
+};
+
+// lets the checkout page preview the discounted price before redirecting to Stripe
+const previewPromoCode = async (req, res) => {
+    const { code, plan } = req.body || {};
+    if (!code) return res.status(400).send({ message: "code is required" });
+
+    const selectedPlan = getPlan(plan);
+    if (!selectedPlan) return res.status(400).send({ message: "Invalid plan" });
+
+    const { promo, error } = await findApplicablePromo(code, selectedPlan.id);
+    if (error) return res.status(400).send({ valid: false, message: error });
+
+    res.send({
+        valid: true,
+        code: promo.code,
+        type: promo.type,
+        value: promo.value,
+        plan: selectedPlan.id,
+        originalAmount: selectedPlan.amount,
+        discountedAmount: discountedAmount(promo, selectedPlan.amount),
+        currency: selectedPlan.currency,
+    });
+};
+
+module.exports = { createPromoCode, listPromoCodes, updatePromoCode, previewPromoCode };
@@ -1,52 +1,141 @@
 const { getCollections, mustObjectId } = require("../config/mongo");
+const {
+    REPORT_STATUSES,
+    historyEntry,
+    readNote,
+    parseDecision,
+    applyAutoHide,
+    decideReports,
+} = require("../services/moderation.service");
 
+// one report per user per lesson; enough distinct reporters hide the lesson until reviewed
 const createReport = async (req, res) => {
-    const { reportsCollection } = await getCollections();
+    const { reportsCollection, lessonsCollection } = await getCollections();
     const { lessonId, reason, message } = req.body;
 
     const oid = mustObjectId(lessonId);
     if (!oid) return res.status(400).send({ message: "Valid lessonId is required" });
 
+    const lesson = await lessonsCollection.findOne(
+        { _id: oid, isDeleted: { $ne: true } },
+        { projection: { creatorEmail: 1 } }
+    );
+    if (!lesson) return res.status(404).send({ message: "Lesson not found" });
+
+    const reporterEmail = req.decoded.email;
+    if (lesson.creatorEmail === reporterEmail) {
+        return res.status(400).send({ message: "You cannot report your own lesson" });
+    }
+
+    const now = new Date();
     const doc = {
         lessonId: oid,
         reason: reason || "Other",
         message: message || "",
-        reporterEmail: req.decoded.email,
+        reporterEmail,
         status: "pending",
-        createdAt: new Date(),
+        history: [historyEntry({ status: "pending", by: reporterEmail })],
+        createdAt: now,
+        updatedAt: now,
     };
 
-    const result = await reportsCollection.insertOne(doc);
-    res.send(result);
+    const result = await reportsCollection.updateOne(
+        { lessonId: oid, reporterEmail },
+        { $setOnInsert: doc },
+        { upsert: true }
+    );
+    if (result.upsertedCount === 0) {
+        return res.status(409).send({ message: "You have already reported this lesson" });
+    }
+
+    const autoHidden = await applyAutoHide(oid);
+    res.send({ acknowledged: true, insertedId: result.upsertedId, autoHidden });
 };
 
+// ?status=pending|under_review|actioned|dismissed
 const listReports = async (req, res) => {
     const { reportsCollection } = await getCollections();
-    const reports = await reportsCollection.find().sort({ createdAt: -1 }).toArray();
+    const { status } = req.query;
+
+    const filter = {};
+    if (status) {
+        if (!REPORT_STATUSES.includes(status)) return res.status(400).send({ message: "Invalid status" });
+        filter.status = status;
+    }
+
+    const reports = await reportsCollection.find(filter).sort({ createdAt: -1 }).toArray();
     res.send(reports);
 };
 
-const resolveReport = async (req, res) => {
+// pending → under_review, so other moderators can see it is being handled
+const reviewReport = async (req, res) => {
     const { reportsCollection } = await getCollections();
     const oid = mustObjectId(req.params.id);
     if (!oid) return res.status(400).send({ message: "Invalid report id" });
 
-    const result = await reportsCollection.updateOne(
-        { _id: oid },
-        { $set: { status: "resolved", resolvedAt: new Date() } }
+    const { note, error } = readNote(req.body?.note);
+    if (error) return res.status(400).send({ message: error });
+
+    const email = req.decoded.email;
+    const now = new Date();
+    const updated = await reportsCollection.findOneAndUpdate(
+        { _id: oid, status: "pending" },
+        {
+            $set: { status: "under_review", reviewerEmail: email, ...(note && { moderatorNote: note }), updatedAt: now },
+            $push: { history: historyEntry({ status: "under_review", note, by: email }) },
+        },
+        { returnDocument: "after" }
     );
-    res.send(result);
+
+    if (!updated) {
+        const exists = await reportsCollection.findOne({ _id: oid }, { projection: { status: 1 } });
+        if (!exists) return res.status(404).send({ message: "Report not found" });
+        return res.status(409).send({ message: `Report is already ${exists.status}` });
+    }
+
+    res.send(updated);
 };
 
-const deleteReport = async (req, res) => {
-    const { reportsCollection } = await getCollections();
+// applies one moderator decision to the report in req.params.id and answers with the report
+const decideReport = async (req, res, { action, note }) => {
+    const { reportsCollection, lessonsCollection } = await getCollections();
     const oid = mustObjectId(req.params.id);
     if (!oid) return res.status(400).send({ message: "Invalid report id" });
 
-    const result = await reportsCollection.deleteOne({ _id: oid });
-    if (result.deletedCount === 0) return res.status(404).send({ message: "Report not found" });
+    const report = await reportsCollection.findOne({ _id: oid });
+    if (!report) return res.status(404).send({ message: "Report not found" });
+
+    const lesson = await lessonsCollection.findOne(
+        { _id: report.lessonId },
+        { projection: { title: 1, creatorEmail: 1, isHidden: 1, hiddenReason: 1 } }
+    );
+
+    const result = await decideReports({
+        reports: [report],
+        lesson,
+        action,
+        note,
+        moderatorEmail: req.decoded.email,
+    });
+    if (!result.decided) return res.status(409).send({ message: `Report is already ${report.status}` });
+
+    res.send(await reportsCollection.findOne({ _id: oid }));
+};
+
+// PATCH body: { action: "hide" | "warn" | "dismiss", note }
+const resolveReport = async (req, res) => {
+    const decision = parseDecision(req.body);
+    if (decision.error) return res.status(400).send({ message: decision.error });
+
+    return decideReport(req, res, decision);
+};
+
+// DELETE keeps the report and its history: it is dismissed like any other decision
+const dismissReport = async (req, res) => {
+    const { note, error } = readNote(req.body?.note);
+    if (error) return res.status(400).send({ message: error });
 
-    res.send({ success: true });
+    return decideReport(req, res, { action: "dismiss", note });
 };
 
-module.exports = { createReport, listReports, resolveReport, deleteReport };
\ No newline at end of file
+module.exports = { createReport, listReports, reviewReport, resolveReport, dismissReport };
@@ -0,0 +1,80 @@
+const { getCollections } = require("../config/mongo");
+const { diffSnapshots, recordRevision } = require("../services/revisions.service");
+
+// all handlers run after verifyLessonOwnerOrAdmin, which sets req.lesson
+
+const parseRevision = (value) => {
+    const n = parseInt(value, 10);
+    return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+const listRevisions = async (req, res) => {
+    const { lessonRevisionsCollection } = await getCollections();
+
+    const revisions = await lessonRevisionsCollection
+        .find({ lessonId: req.lesson._id })
+        .project({ snapshot: 0 })
+        .sort({ revision: -1 })
+        .toArray();
+
+    res.send({ revisions });
+};
+
+const getRevision = async (req, res) => {
+    const { lessonRevisionsCollection } = await getCollections();
+    const revision = parseRevision(req.params.revision);
+    if (!revision) return res.status(400).send({ message: "Invalid revision number" });
+
+    const doc = await lessonRevisionsCollection.findOne({ lessonId: req.lesson._id, revision });
+    if (!doc) return res.status(404).send({ message: "Revision not found" });
+
+    res.send(doc);
+};
+
+// GET /lessons/:id/revisions/diff?from=2&to=5
+const diffRevisions = async (req, res) => {
+    const { lessonRevisionsCollection } = await getCollections();
+    const from = parseRevision(req.query.from);
+    const to = parseRevision(req.query.to);
+    if (!from || !to) return res.status(400).send({ message: "from and to revision numbers are required" });
+
+    const docs = await lessonRevisionsCollection
+        .find({ lessonId: req.lesson._id, revision: { $in: [from, to] } })
+        .toArray();
+
+    const fromDoc = docs.find((d) => d.revision === from);
+    const toDoc = docs.find((d) => d.revision === to);
+    if (!fromDoc || !toDoc) return res.status(404).send({ message: "Revision not found" });
+
+    const changes = diffSnapshots(fromDoc.snapshot, toDoc.snapshot);
+    res.send({ from, to, changedFields: Object.keys(changes), changes });
+};
+
+const restoreRevision = async (req, res) => {
+    const { lessonsCollection, lessonRevisionsCollection } = await getCollections();
+    const revision = parseRevision(req.params.revision);
+    if (!revision) return res.status(400).send({ message: "Invalid revision number" });
+
+    const doc = await lessonRevisionsCollection.findOne({ lessonId: req.lesson._id, revision });
+    if (!doc) return res.status(404).send({ message: "Revision not found" });
+
+    const changes = diffSnapshots(req.lesson, doc.snapshot);
+    if (!Object.keys(changes).length) return res.status(400).send({ message: "Lesson already matches this revision" });
+
+    const $set = { updatedAt: new Date() };
+    for (const f of Object.keys(changes)) $set[f] = doc.snapshot[f];
+
+    await lessonsCollection.updateOne({ _id: req.lesson._id }, { $set });
+
+    const recorded = await recordRevision({
+        before: req.lesson,
+        after: { ...req.lesson, ...$set },
+        editorEmail: req.decoded.email,
+        action: "restore",
+        restoredFrom: revision,
+    });
+
+    res.send({ success: true, revision: recorded.revision, restoredFrom: revision, changedFields: recorded.changedFields });
+};
+
+module.exports = { listRevisions, getRevision, diffRevisions, restoreRevision };
@@ -1,10 +1,14 @@
 const { getCollections } = require("../config/mongo");
+const { PUBLISHED } = require("../services/publishing.service");
+const { seriesStart, fillSeries } = require("../services/analytics.service");
+const { LESSON_EVENT_TYPES } = require("../services/events.service");
+const { TRENDING } = require("../config/trending");
 
 const topContributors = async (req, res) => {
     const { lessonsCollection } = await getCollections();
 
     const pipeline = [
-        { $match: { isDeleted: { $ne: true } } },
+        { $match: { isDeleted: { $ne: true }, ...PUBLISHED } },
         {
             $group: {
                 _id: "$creatorEmail",
@@ -28,6 +32,7 @@ const authorStats = async (req, res) => {
     const totalLessons = await lessonsCollection.countDocuments({
         creatorEmail: email,
         isDeleted: { $ne: true },
+        ...PUBLISHED,
         visibility: "public",
     });
 
@@ -39,10 +44,12 @@ const homeStats = async (req, res) => {
 
     const totalLessons = await lessonsCollection.countDocuments({
         isDeleted: { $ne: true },
+        ...PUBLISHED,
     });
 
     const publicLessons = await lessonsCollection.countDocuments({
         isDeleted: { $ne: true },
+        ...PUBLISHED,
         visibility: "public",
     });
 
@@ -51,6 +58,7 @@ const homeStats = async (req, res) => {
             {
                 $match: {
                     isDeleted: { $ne: true },
+                    ...PUBLISHED,
                     creatorEmail: { $exists: true, $nin: [null, ""] },
                 },
             },
@@ -86,6 +94,7 @@ const categoriesStats = async (req, res) => {
             {
                 $match: {
                     isDeleted: { $ne: true },
+                    ...PUBLISHED,
                     visibility: "public",
                 },
             },
@@ -104,4 +113,111 @@ const categoriesStats = async (req, res) => {
     res.send({ categories });
 };
 
-module.exports = { topContributors, authorStats, homeStats, categoriesStats, };
\ No newline at end of file
+const EVENT_TOTAL_KEYS = { view: "views", like: "likes", save: "saves", comment: "comments" };
+
+const emptyTotals = () => ({ views: 0, likes: 0, saves: 0, comments: 0 });
+
+/*
+ * GET /stats/me?days=30|90 – the signed-in author's dashboard:
+ * lifetime totals from the lesson counters, daily series and a per-lesson breakdown for the
+ * range from the lesson event log, and the best performing lessons in that range.
+ */
+const myAuthorStats = async (req, res) => {
+    const { lessonsCollection, lessonEventsCollection } = await getCollections();
+    const email = req.decoded.email;
+    const days = req.query.days === "90" ? 90 : 30;
+    const start = seriesStart(days);
+
+    const [lessons, byDay, byLesson] = await Promise.all([
+        lessonsCollection
+            .find({ creatorEmail: email, isDeleted: { $ne: true } })
+            .project({
+                title: 1,
+                visibility: 1,
+                status: 1,
+                createdAt: 1,
+                viewsCount: 1,
+                likesCount: 1,
+                savedCount: 1,
+                commentsCount: 1,
+            })
+            .toArray(),
+        lessonEventsCollection
+            .aggregate([
+                { $match: { creatorEmail: email, createdAt: { $gte: start } } },
+                {
+                    $group: {
+                        _id: { type: "$type", day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } } },
+                        count: { $sum: 1 },
+                    },
+                },
+            ])
+            .toArray(),
+        lessonEventsCollection
+            .aggregate([
+                { $match: { creatorEmail: email, createdAt: { $gte: start } } },
+                { $group: { _id: { lessonId: "$lessonId", type: "$type" }, count: { $sum: 1 } } },
+            ])
+            .toArray(),
+    ]);
+
+    const series = {};
+    for (const type of LESSON_EVENT_TYPES) {
+        const raw = byDay.filter((r) => r._id.type === type).map((r) => ({ _id: r._id.day, count: r.count }));
+        series[EVENT_TOTAL_KEYS[type]] = fillSeries(raw, start, days);
+    }
+
+    const rangeByLesson = new Map();
+    for (const r of byLesson) {
+        const key = String(r._id.lessonId);
+        if (!rangeByLesson.has(key)) rangeByLesson.set(key, emptyTotals());
+        rangeByLesson.get(key)[EVENT_TOTAL_KEYS[r._id.type]] += r.count;
+    }
+
+    const score = (t) =>
+        t.views * TRENDING.weights.view +
+        t.likes * TRENDING.weights.like +
+        t.saves * TRENDING.weights.save +
+        t.comments * TRENDING.weights.comment;
+
+    const breakdown = lessons
+        .map((l) => {
+            const range = rangeByLesson.get(String(l._id)) || emptyTotals();
+            return {
+                lessonId: l._id,
+                title: l.title,
+                visibility: l.visibility,
+                status: l.status || "published",
+                createdAt: l.createdAt,
+                lifetime: {
+                    views: l.viewsCount || 0,
+                    likes: l.likesCount || 0,
+                    saves: l.savedCount || 0,
+                    comments: l.commentsCount || 0,
+                },
+                range,
+                score: Math.round(score(range) * 100) / 100,
+            };
+        })
+        .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt));
+
+    const totals = { lessons: lessons.length, ...emptyTotals() };
+    const rangeTotals = emptyTotals();
+    for (const b of breakdown) {
+        for (const k of Object.keys(rangeTotals)) {
+            totals[k] += b.lifetime[k];
+            rangeTotals[k] += b.range[k];
+        }
+    }
+
+    res.send({
+        days,
+        totals,
+        rangeTotals,
+        series,
+        lessons: breakdown,
+        bestPerforming: breakdown.filter((b) => b.score > 0).slice(0, 5),
+    });
+};
+
+module.exports = { topContributors, authorStats, myAuthorStats, homeStats, categoriesStats, };
\ No newline at end of file
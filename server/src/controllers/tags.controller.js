@@ -0,0 +1,102 @@
+const { getCollections } = require("../config/mongo");
+const { PUBLISHED, publishDueLessons } = require("../services/publishing.service");
+const { normalizeTag } = require("../services/tags.service");
+
+const listedLessons = () => ({ visibility: "public", isDeleted: { $ne: true }, ...PUBLISHED });
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const tagCounts = async (extraMatch, limit) => {
+    const { lessonsCollection } = await getCollections();
+    const rows = await lessonsCollection
+        .aggregate([
+            { $match: { ...listedLessons(), tags: { $exists: true, $ne: [] } } },
+            { $unwind: "$tags" },
+            ...(extraMatch ? [{ $match: { tags: extraMatch } }] : []),
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: limit },
+        ])
+        .toArray();
+    return rows.map((r) => ({ tag: r._id, count: r.count }));
+};
+
+// GET /tags?limit=30
+const popularTags = async (req, res) => {
+    const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 30));
+    await publishDueLessons();
+    res.send({ tags: await tagCounts(null, limitNum) });
+};
+
+// GET /tags/autocomplete?q=sel
+const autocompleteTags = async (req, res) => {
+    const prefix = normalizeTag(req.query.q);
+    if (!prefix) return res.send({ tags: [] });
+
+    const limitNum = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    res.send({ tags: await tagCounts({ $regex: `^${escapeRegex(prefix)}` }, limitNum) });
+};
+
+// GET /tags/:tag/lessons
+const lessonsByTag = async (req, res) => {
+    const { lessonsCollection } = await getCollections();
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).send({ message: "Invalid tag" });
+
+    const { page = "1", limit = "9" } = req.query;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 9));
+    const skip = (pageNum - 1) * limitNum;
+
+    await publishDueLessons();
+
+    const filter = { ...listedLessons(), tags: tag };
+    const [lessons, total] = await Promise.all([
+        lessonsCollection.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limitNum).toArray(),
+        lessonsCollection.countDocuments(filter),
+    ]);
+
+    res.send({
+        tag,
+        lessons,
+        pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
+    });
+};
+
+/*
+ * Admin: POST /tags/merge { from: ["selfcare", "self-love"], to: "self-care" }
+ * A rename is a merge with a single source tag. Runs as one update over every lesson
+ * (deleted and private included) so no lesson is left with an old tag.
+ */
+const mergeTags = async (req, res) => {
+    const { lessonsCollection } = await getCollections();
+    const { from, to } = req.body || {};
+
+    const target = normalizeTag(to);
+    const sources = [...new Set((Array.isArray(from) ? from : [from]).map(normalizeTag).filter(Boolean))].filter(
+        (t) => t !== target
+    );
+
+    if (!target) return res.status(400).send({ message: "Valid target tag is required" });
+    if (!sources.length) {
+        return res.status(400).send({ message: "At least one source tag different from the target is required" });
+    }
+
+    const result = await lessonsCollection.updateMany({ tags: { $in: sources } }, [
+        {
+            $set: {
+                tags: {
+                    $concatArrays: [
+                        { $filter: { input: "$tags", cond: { $not: { $in: ["$$this", sources] } } } },
+                        { $cond: [{ $in: [target, "$tags"] }, [], [target]] },
+                    ],
+                },
+                updatedAt: "$$NOW",
+            },
+        },
+    ]);
+
+    res.send({ success: true, from: sources, to: target, modified: result.modifiedCount });
+};
+
+module.exports = { popularTags, autocompleteTags, lessonsByTag, mergeTags };
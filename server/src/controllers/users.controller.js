@@ -1,14 +1,27 @@
 const { getCollections, mustObjectId } = require("../config/mongo");
+const {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    LESSON_DELETION_MODES,
+    buildUserExport,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    deleteAccount,
+} = require("../services/accounts.service");
 
 const upsertUser = async (req, res) => {
     const { usersCollection } = await getCollections();
     const user = req.body;
     if (!user?.email) return res.status(400).send({ message: "Email is required" });
+    // a signed-in caller (always the case with local auth) can only write their own profile
+    if (req.decoded && req.decoded.email.toLowerCase() !== String(user.email).toLowerCase()) {
+        return res.status(403).send({ message: "forbidden" });
+    }
+    const email = req.decoded?.email || user.email;
 
-    const filter = { email: user.email };
+    const filter = { email };
     const updateDoc = {
         $set: {
-            email: user.email,
+            email,
             name: user.name || user.displayName || "",
             photoURL: user.photoURL || "",
             updatedAt: new Date(),
@@ -52,9 +65,71 @@ const deleteUserByEmail = async (req, res) => {
 
     if (req.decoded.email === email) return res.status(400).send({ message: "You cannot delete yourself" });
 
-    const result = await usersCollection.deleteOne({ email });
-    if (result.deletedCount === 0) return res.status(404).send({ message: "User not found" });
-    res.send(result);
+    const { lessons = "anonymize" } = req.query;
+    if (!LESSON_DELETION_MODES.includes(lessons)) {
+        return res.status(400).send({ message: `lessons must be one of: ${LESSON_DELETION_MODES.join(", ")}` });
+    }
+
+    const user = await usersCollection.findOne({ email });
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    const removed = await deleteAccount(user, { lessons });
+    res.send({ acknowledged: true, deletedCount: 1, removed });
+};
+
+const exportMyData = async (req, res) => {
+    const data = await buildUserExport(req.decoded.email);
+    if (!data.profile) return res.status(404).send({ message: "User not found" });
+
+    const filename = `digital-life-lessons-export-${new Date().toISOString().slice(0, 10)}.json`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.type("application/json").send(JSON.stringify(data, null, 2));
+};
+
+// body: { lessons: "anonymize" | "delete" }; deletion runs after the grace period unless canceled
+const requestAccountDeletion = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    const { lessons = "anonymize" } = req.body || {};
+    if (!LESSON_DELETION_MODES.includes(lessons)) {
+        return res.status(400).send({ message: `lessons must be one of: ${LESSON_DELETION_MODES.join(", ")}` });
+    }
+
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+    if (!user) return res.status(404).send({ message: "User not found" });
+    if (user.role === "admin") return res.status(400).send({ message: "Admins must be demoted before deleting their account" });
+
+    const deletion = await scheduleAccountDeletion(user, { lessons });
+    res.send({ success: true, deletion, graceDays: ACCOUNT_DELETION_GRACE_DAYS });
+};
+
+const cancelMyAccountDeletion = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOne({ email: req.decoded.email }, { projection: { _id: 1 } });
+    if (!user) return res.status(404).send({ message: "User not found" });
+
+    const canceled = await cancelAccountDeletion(user);
+    if (!canceled) return res.status(404).send({ message: "No pending account deletion" });
+    res.send({ success: true });
+};
+
+const getEmailPreferences = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOne({ email: req.decoded.email }, { projection: { emailPrefs: 1 } });
+    res.send({ weeklyDigest: !!user?.emailPrefs?.weeklyDigest });
+};
+
+const updateEmailPreferences = async (req, res) => {
+    const { usersCollection } = await getCollections();
+    const { weeklyDigest } = req.body || {};
+    if (typeof weeklyDigest !== "boolean") {
+        return res.status(400).send({ message: "weeklyDigest must be true or false" });
+    }
+
+    await usersCollection.updateOne(
+        { email: req.decoded.email },
+        { $set: { "emailPrefs.weeklyDigest": weeklyDigest, updatedAt: new Date() } }
+    );
+    res.send({ weeklyDigest });
 };
 
 module.exports = {
@@ -63,4 +138,9 @@ module.exports = {
     checkAdminSelf,
     listUsersRaw,
     deleteUserByEmail,
+    exportMyData,
+    requestAccountDeletion,
+    cancelMyAccountDeletion,
+    getEmailPreferences,
+    updateEmailPreferences,
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+// Typed errors: throw (or next()) one of these and errorHandler turns it into the standard
+// { code, message, errors, requestId } response.
+class AppError extends Error {
+    constructor(status, code, message, errors = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.errors = errors;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message = "Bad request", code = "BAD_REQUEST") {
+        super(400, code, message);
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = "unauthorized") {
+        super(401, "UNAUTHORIZED", message);
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = "forbidden", code = "FORBIDDEN") {
+        super(403, code, message);
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = "Not found", code = "NOT_FOUND") {
+        super(404, code, message);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = "Conflict", code = "CONFLICT") {
+        super(409, code, message);
+    }
+}
+
+// errors: [{ field: "body.title", message: "is required" }]
+class ValidationError extends AppError {
+    constructor(errors, message = "Request validation failed") {
+        super(422, "VALIDATION_FAILED", message, errors);
+    }
+}
+
+// retryAfter: seconds until the client may try again (also sent as Retry-After)
+class TooManyRequestsError extends AppError {
+    constructor(retryAfter, message = "Too many requests, please try again later") {
+        super(429, "RATE_LIMITED", message);
+        this.retryAfter = retryAfter;
+    }
+}
+
+// default code for responses sent as res.status(n).send({ message }) without one
+const STATUS_CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    402: "PAYMENT_REQUIRED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    413: "PAYLOAD_TOO_LARGE",
+    415: "UNSUPPORTED_MEDIA_TYPE",
+    422: "VALIDATION_FAILED",
+    429: "TOO_MANY_REQUESTS",
+    500: "INTERNAL_ERROR",
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? "INTERNAL_ERROR" : "ERROR");
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+    TooManyRequestsError,
+    codeForStatus,
+};
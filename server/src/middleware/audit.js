@@ -0,0 +1,61 @@
+const { asyncHandler } = require("./asyncHandler");
+const { loadSnapshot, recordAudit } = require("../services/audit.service");
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/*
+ * Called by verifyAdmin: every successful non-read admin request is written to the audit log
+ * before its response goes out (a serverless function may be frozen as soon as the response is
+ * flushed, so writing it afterwards can silently lose entries). Without an audit() middleware on
+ * the route the action is the route itself ("PATCH /admin/lessons/:id/featured") and there is
+ * no snapshot.
+ */
+const trackAdminRequest = (req, res) => {
+    if (READ_METHODS.includes(req.method)) return;
+
+    req.audit = { action: null, target: null, before: null };
+
+    const send = res.send.bind(res);
+    let recorded = false;
+
+    // res.send(object) re-enters res.send with the serialized body, only the first call records
+    res.send = (body) => {
+        if (recorded || res.statusCode >= 400) return send(body);
+        recorded = true;
+
+        const { action, target, before } = req.audit;
+        (async () => {
+            const after = target ? await loadSnapshot(target).catch(() => null) : null;
+            await recordAudit({
+                actorEmail: req.decoded?.email || null,
+                action: action || `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+                target,
+                before,
+                after,
+                req,
+                statusCode: res.statusCode,
+            });
+        })().finally(() => send(body));
+        return res;
+    };
+};
+
+/*
+ * Names the action and snapshots its target before the handler runs (after is taken on send).
+ * target: { type, param } reads req.params[param], { type, id: (req) => value } for anything else;
+ * field is the lookup field, "_id" by default.
+ */
+const audit = (action, target = null) =>
+    asyncHandler(async (req, res, next) => {
+        if (!req.audit) return next();
+
+        req.audit.action = action;
+        if (target) {
+            const id = target.id ? target.id(req) : req.params[target.param];
+            req.audit.target = { type: target.type, id: id ?? null, field: target.field };
+            req.audit.before = await loadSnapshot(req.audit.target);
+        }
+        next();
+    });
+
+module.exports = { trackAdminRequest, audit };
@@ -1,19 +1,26 @@
-const { admin } = require("../config/firebase");
+const { asyncHandler } = require("./asyncHandler");
+const { getAuthProvider } = require("../services/auth");
 
-const verifyFBToken = async (req, res, next) => {
+/*
+ * Verifies "Authorization: Bearer <token>" with the configured provider (Firebase ID tokens or
+ * local JWTs, see config/auth) and sets req.decoded = { uid, email, ... }. Keeps its old name
+ * because every route uses it.
+ */
+const verifyFBToken = asyncHandler(async (req, res, next) => {
     const authHeader = req.headers.authorization; // "Bearer <token>"
     if (!authHeader) return res.status(401).send({ message: "unauthorized" });
 
     const token = authHeader.split(" ")[1];
     if (!token) return res.status(401).send({ message: "unauthorized" });
 
-    try {
-        const decoded = await admin.auth().verifyIdToken(token);
-        req.decoded = decoded;
-        next();
-    } catch (err) {
-        return res.status(401).send({ message: "unauthorized" });
-    }
-};
+    const decoded = await getAuthProvider().verifyToken(token);
+    if (!decoded?.email) return res.status(401).send({ message: "unauthorized" });
 
-module.exports = { verifyFBToken };
\ No newline at end of file
+    req.decoded = decoded;
+    next();
+});
+
+// public routes: anonymous readers go through without req.decoded; a token that is sent must be valid
+const optionalAuth = (req, res, next) => (req.headers.authorization ? verifyFBToken(req, res, next) : next());
+
+module.exports = { verifyFBToken, optionalAuth };
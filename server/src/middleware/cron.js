@@ -0,0 +1,10 @@
+// scheduled jobs (Vercel Cron or any scheduler) authenticate with "Authorization: Bearer <CRON_SECRET>"
+const verifyCronSecret = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).send({ message: "unauthorized" });
+    }
+    next();
+};
+
+module.exports = { verifyCronSecret };
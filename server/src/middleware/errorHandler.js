@@ -1,6 +1,39 @@
+const { AppError, BadRequestError, ConflictError, NotFoundError, codeForStatus } = require("../errors");
+
+// errors thrown by libraries, mapped to the status they deserve instead of a 500
+const fromKnownError = (err) => {
+    if (err instanceof AppError) return err;
+    if (err.type === "entity.parse.failed") return new BadRequestError("Malformed JSON body", "INVALID_JSON");
+    if (err.type === "entity.too.large") return new AppError(413, "PAYLOAD_TOO_LARGE", "Request body is too large");
+    if (err.code === 11000) return new ConflictError("A record with these values already exists", "DUPLICATE_KEY");
+    if (err.name === "BSONError") return new BadRequestError("Invalid id");
+
+    // any other client error a library flagged (unsupported charset or encoding: 415, ...)
+    const status = err.status || err.statusCode;
+    if (Number.isInteger(status) && status >= 400 && status < 500) {
+        return new AppError(status, codeForStatus(status), err.expose ? err.message : "Bad request");
+    }
+    return null;
+};
+
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`, "ROUTE_NOT_FOUND"));
+}
+
+// { code, message, errors?, requestId }
 function errorHandler(err, req, res, next) {
-    console.error("API Error:", err);
-    res.status(500).send({ message: "Server error" });
+    if (res.headersSent) return next(err);
+
+    const known = fromKnownError(err);
+    const status = known?.status || 500;
+    if (status >= 500) console.error("API Error:", err);
+
+    res.status(status).send({
+        code: known?.code || codeForStatus(status),
+        message: known ? known.message : "Server error",
+        ...(known?.errors && { errors: known.errors }),
+        requestId: req.id,
+    });
 }
 
-module.exports = { errorHandler };
\ No newline at end of file
+module.exports = { errorHandler, notFoundHandler };
@@ -1,13 +1,65 @@
 const { getCollections, mustObjectId } = require("../config/mongo");
+const { GRACE_PERIOD_DAYS } = require("../config/plans");
+const { isPublished } = require("../services/publishing.service");
 const { asyncHandler } = require("./asyncHandler");
+const { getIsAdmin } = require("./rbac");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// premiumUntil null/missing = lifetime access
+const isPremiumActive = (user, now = new Date()) => {
+    if (!user) return false;
+    if (!user.premiumUntil) return !!user.isPremium;
+    return new Date(user.premiumUntil).getTime() + GRACE_PERIOD_DAYS * DAY_MS > now.getTime();
+};
 
 const getIsPremium = async (email) => {
     if (!email) return false;
     const { usersCollection } = await getCollections();
-    const u = await usersCollection.findOne({ email }, { projection: { isPremium: 1 } });
-    return !!u?.isPremium;
+    const u = await usersCollection.findOne({ email }, { projection: { isPremium: 1, premiumUntil: 1 } });
+    return isPremiumActive(u);
+};
+
+// Read rules shared by lesson details and everything hanging off a lesson (comments, ...).
+// Returns null when readable, otherwise { status, message } to send back.
+const checkLessonReadable = async (lesson, email) => {
+    if (!lesson || lesson.isDeleted === true) return { status: 404, message: "Lesson not found" };
+
+    const isOwner = !!email && lesson.creatorEmail === email;
+
+    // drafts, not-yet-due scheduled lessons and lessons hidden by moderation are private to their author
+    const isListed = lesson.visibility === "public" && isPublished(lesson) && lesson.isHidden !== true;
+    if (!isListed && !isOwner && !(await getIsAdmin(email))) {
+        return { status: 404, message: "Lesson not found" };
+    }
+
+    if (lesson.accessLevel === "premium" && !isOwner && !(await getIsPremium(email))) {
+        return { status: 403, message: "Premium access required" };
+    }
+
+    return null;
 };
 
+// list views: premium lessons keep their card fields but lose the body for non-premium readers
+const redactPremiumLesson = (lesson, email, isPremium) => {
+    if (lesson.accessLevel !== "premium" || isPremium || lesson.creatorEmail === email) return lesson;
+    const { details, ...rest } = lesson;
+    return { ...rest, details: "", isLocked: true };
+};
+
+const verifyLessonReadable = asyncHandler(async (req, res, next) => {
+    const { lessonsCollection } = await getCollections();
+    const oid = mustObjectId(req.params.id);
+    if (!oid) return res.status(400).send({ message: "Invalid lesson id" });
+
+    const lesson = await lessonsCollection.findOne({ _id: oid });
+    const denied = await checkLessonReadable(lesson, req.decoded?.email);
+    if (denied) return res.status(denied.status).send({ message: denied.message });
+
+    req.lesson = lesson;
+    next();
+});
+
 const verifyLessonOwnerOrAdmin = asyncHandler(async (req, res, next) => {
     const { lessonsCollection, usersCollection } = await getCollections();
     const oid = mustObjectId(req.params.id);
@@ -28,4 +80,11 @@ const verifyLessonOwnerOrAdmin = asyncHandler(async (req, res, next) => {
     next();
 });
 
-module.exports = { getIsPremium, verifyLessonOwnerOrAdmin };
\ No newline at end of file
+module.exports = {
+    isPremiumActive,
+    getIsPremium,
+    checkLessonReadable,
+    redactPremiumLesson,
+    verifyLessonReadable,
+    verifyLessonOwnerOrAdmin,
+};
\ No newline at end of file
@@ -0,0 +1,10 @@
+const { MIGRATIONS } = require("../config/migrations");
+const { migrateOnBoot } = require("../services/migrations.service");
+
+// holds an instance's first requests until its boot-time migration run is over (a no-op after that)
+const awaitMigrations = (req, res, next) => {
+    if (!MIGRATIONS.runOnBoot) return next();
+    migrateOnBoot().then(() => next(), next);
+};
+
+module.exports = { awaitMigrations };
@@ -0,0 +1,70 @@
+const { asyncHandler } = require("./asyncHandler");
+const { getIsAdmin } = require("./rbac");
+const { RATE_LIMITS } = require("../config/rateLimits");
+const { createStore } = require("../services/rateLimit.service");
+const { clientIp } = require("../services/audit.service");
+const { TooManyRequestsError } = require("../errors");
+
+let store = null;
+const getStore = () => store || (store = createStore());
+
+// the buckets a request counts against; perUser needs verifyFBToken to run first
+const bucketsFor = (name, limit, req) => {
+    const buckets = [];
+    const email = req.decoded?.email;
+    if (limit.perUser && email) buckets.push({ key: `${name}:user:${email}`, max: limit.perUser });
+    const ip = clientIp(req);
+    if (limit.perIp && ip) buckets.push({ key: `${name}:ip:${ip}`, max: limit.perIp });
+    // guessing one account's password from many addresses still hits this one
+    const bodyEmail = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
+    if (limit.perEmail && bodyEmail) buckets.push({ key: `${name}:email:${bodyEmail}`, max: limit.perEmail });
+    return buckets;
+};
+
+/*
+ * rateLimit("comment") applies RATE_LIMITS.comment. Sets RateLimit-Limit/-Remaining/-Reset for
+ * the bucket closest to its limit and answers 429 with Retry-After once any bucket is full.
+ * If the store is unavailable the request goes through: throttling must not take writes down.
+ */
+const rateLimit = (name) => {
+    const limit = RATE_LIMITS[name];
+    if (!limit) throw new Error(`Unknown rate limit: ${name}`);
+    const windowMs = limit.windowSeconds * 1000;
+
+    return asyncHandler(async (req, res, next) => {
+        if (await getIsAdmin(req.decoded?.email)) return next();
+
+        const buckets = bucketsFor(name, limit, req);
+        if (!buckets.length) return next();
+
+        let hits;
+        try {
+            hits = await Promise.all(buckets.map((b) => getStore().hit(b.key, windowMs)));
+        } catch (err) {
+            console.error("Rate limit store error:", err);
+            return next();
+        }
+
+        const states = buckets.map((b, i) => ({
+            max: b.max,
+            remaining: Math.max(0, b.max - hits[i].count),
+            exceeded: hits[i].count > b.max,
+            resetSeconds: Math.max(1, Math.ceil((hits[i].resetAt.getTime() - Date.now()) / 1000)),
+        }));
+        const tightest = states.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+        res.setHeader("RateLimit-Policy", states.map((s) => `${s.max};w=${limit.windowSeconds}`).join(", "));
+        res.setHeader("RateLimit-Limit", tightest.max);
+        res.setHeader("RateLimit-Remaining", tightest.remaining);
+        res.setHeader("RateLimit-Reset", tightest.resetSeconds);
+
+        const exceeded = states.filter((s) => s.exceeded);
+        if (!exceeded.length) return next();
+
+        const retryAfter = Math.max(...exceeded.map((s) => s.resetSeconds));
+        res.setHeader("Retry-After", retryAfter);
+        next(new TooManyRequestsError(retryAfter));
+    });
+};
+
+module.exports = { rateLimit };
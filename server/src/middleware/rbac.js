@@ -1,12 +1,31 @@
 const { getCollections } = require("../config/mongo");
 const { asyncHandler } = require("./asyncHandler");
+const { trackAdminRequest } = require("./audit");
+
+const getIsAdmin = async (email) => {
+    if (!email) return false;
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOne({ email }, { projection: { role: 1 } });
+    return user?.role === "admin";
+};
 
 const verifyAdmin = asyncHandler(async (req, res, next) => {
     const { usersCollection } = await getCollections();
     const email = req.decoded?.email;
     const user = await usersCollection.findOne({ email });
     if (!user || user.role !== "admin") return res.status(403).send({ message: "forbidden" });
+    trackAdminRequest(req, res);
     next();
 });
 
-module.exports = { verifyAdmin };
\ No newline at end of file
+/*
+ * For routes users and admins share: an admin acting on someone else's content (isOthers(req))
+ * is audited like any verifyAdmin route; everyone else goes through untracked.
+ */
+const trackModeration = (isOthers) =>
+    asyncHandler(async (req, res, next) => {
+        if ((await getIsAdmin(req.decoded?.email)) && (await isOthers(req))) trackAdminRequest(req, res);
+        next();
+    });
+
+module.exports = { getIsAdmin, verifyAdmin, trackModeration };
\ No newline at end of file
@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+const { codeForStatus } = require("../errors");
+
+const REQUEST_ID_RE = /^[\w.-]{1,100}$/;
+
+/*
+ * Gives every request an id (X-Request-Id from the proxy, or a new one) and makes every
+ * error response look the same: handlers that still send { message } with a 4xx/5xx status
+ * get the code for that status and the request id added.
+ */
+const requestContext = (req, res, next) => {
+    const incoming = req.headers["x-request-id"];
+    req.id = typeof incoming === "string" && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body)) {
+            body = { code: body.code || codeForStatus(res.statusCode), ...body, requestId: req.id };
+        }
+        return json(body);
+    };
+
+    next();
+};
+
+module.exports = { requestContext };
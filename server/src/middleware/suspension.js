@@ -0,0 +1,29 @@
+const { getCollections } = require("../config/mongo");
+const { asyncHandler } = require("./asyncHandler");
+const { isSuspensionActive, liftSuspension } = require("../services/suspensions.service");
+
+// blocks writes (lessons, comments, likes, reports, favorites) from suspended accounts
+const verifyNotSuspended = asyncHandler(async (req, res, next) => {
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOne(
+        { email: req.decoded?.email },
+        { projection: { email: 1, suspension: 1 } }
+    );
+    if (!user?.suspension) return next();
+
+    if (!isSuspensionActive(user.suspension)) {
+        await liftSuspension({ user });
+        return next();
+    }
+
+    res.status(403).send({
+        code: "ACCOUNT_SUSPENDED",
+        message: user.suspension.until
+            ? `Your account is suspended until ${new Date(user.suspension.until).toISOString()}`
+            : "Your account is suspended",
+        reason: user.suspension.reason,
+        until: user.suspension.until,
+    });
+});
+
+module.exports = { verifyNotSuspended };
@@ -0,0 +1,26 @@
+const { validate } = require("../validation/schema");
+const { ValidationError } = require("../errors");
+
+const PARTS = ["params", "query", "body"];
+
+/*
+ * validateRequest({ params, query, body }) with object() schemas from validation/.
+ * The validated body replaces req.body (unknown keys stripped); params and query are only
+ * checked, the controllers keep parsing them as before.
+ */
+const validateRequest = (schemas) => (req, res, next) => {
+    const errors = [];
+
+    for (const part of PARTS) {
+        if (!schemas[part]) continue;
+        const input = part === "body" ? req.body ?? {} : req[part];
+        const result = validate(schemas[part], input, { field: part, coerce: part !== "body" });
+        errors.push(...result.errors);
+        if (part === "body" && !result.errors.length) req.body = result.value;
+    }
+
+    if (errors.length) return next(new ValidationError(errors));
+    next();
+};
+
+module.exports = { validateRequest };
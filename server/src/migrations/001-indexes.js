@@ -0,0 +1,55 @@
+/*
+ * Indexes for the queries the API runs on every request. createIndex is a no-op when an index
+ * with the same keys and options exists, so this is safe to re-run.
+ */
+const INDEXES = {
+    usersCollection: [[{ role: 1 }], [{ "suspension.until": 1 }, { sparse: true }]],
+    lessonsCollection: [
+        [{ creatorEmail: 1, createdAt: -1 }],
+        [{ visibility: 1, isDeleted: 1, createdAt: -1 }],
+        [{ category: 1, createdAt: -1 }],
+        [{ tags: 1 }],
+        [{ status: 1, publishAt: 1 }],
+        [{ isDeleted: 1, deletedAt: -1 }],
+        [{ trendingScore: -1 }],
+        [{ risingScore: -1 }],
+        // must stay identical to the one search.service creates on demand
+        [
+            { title: "text", shortDescription: "text", details: "text", category: "text", creatorName: "text" },
+            {
+                name: "lessons_text",
+                weights: { title: 10, shortDescription: 5, category: 3, creatorName: 3, details: 1 },
+                default_language: "english",
+            },
+        ],
+    ],
+    favoritesCollection: [[{ userEmail: 1, createdAt: -1 }]],
+    commentsCollection: [[{ lessonId: 1, parentId: 1, createdAt: -1 }], [{ userEmail: 1 }]],
+    reportsCollection: [[{ lessonId: 1, status: 1 }], [{ reporterEmail: 1 }], [{ status: 1, createdAt: -1 }]],
+    followsCollection: [[{ followerEmail: 1, followingEmail: 1 }], [{ followingEmail: 1 }]],
+    notificationsCollection: [[{ recipientEmail: 1, updatedAt: -1 }], [{ recipientEmail: 1, isRead: 1 }]],
+    contactMessagesCollection: [[{ status: 1, createdAt: -1 }], [{ email: 1 }]],
+    lessonRevisionsCollection: [[{ lessonId: 1, revision: -1 }]],
+    lessonEventsCollection: [[{ createdAt: -1 }], [{ lessonId: 1, actorEmail: 1, type: 1 }]],
+    mailQueueCollection: [[{ status: 1, nextAttemptAt: 1 }], [{ dedupeKey: 1 }, { sparse: true }], [{ to: 1 }]],
+    paymentsCollection: [[{ email: 1 }], [{ sessionId: 1 }], [{ paymentIntent: 1 }]],
+    giftsCollection: [[{ code: 1 }], [{ buyerEmail: 1 }], [{ sessionId: 1 }]],
+    promoCodesCollection: [[{ code: 1 }]],
+    auditLogCollection: [[{ createdAt: -1 }], [{ actorEmail: 1, createdAt: -1 }], [{ targetType: 1, targetId: 1 }]],
+    moderationQueueCollection: [[{ status: 1, createdAt: -1 }], [{ kind: 1, targetId: 1, status: 1 }]],
+    authAccountsCollection: [[{ email: 1 }, { unique: true }]],
+    authSessionsCollection: [[{ email: 1 }], [{ expiresAt: 1 }, { expireAfterSeconds: 0 }]],
+    // same TTL index rateLimit.service creates on demand
+    rateLimitsCollection: [[{ resetAt: 1 }, { expireAfterSeconds: 0 }]],
+};
+
+const up = async ({ collections, log }) => {
+    for (const [name, indexes] of Object.entries(INDEXES)) {
+        for (const [keys, options = {}] of indexes) {
+            const index = await collections[name].createIndex(keys, options);
+            log(`${name}: ${index}`);
+        }
+    }
+};
+
+module.exports = { version: 1, name: "indexes", up };
@@ -0,0 +1,49 @@
+// groups of documents sharing the same values for keys, oldest _id first
+const duplicatesOf = (collection, keys) =>
+    collection
+        .aggregate([
+            { $sort: { _id: 1 } },
+            {
+                $group: {
+                    _id: Object.fromEntries(keys.map((k) => [k, `$${k}`])),
+                    ids: { $push: "$_id" },
+                    count: { $sum: 1 },
+                },
+            },
+            { $match: { count: { $gt: 1 } } },
+        ])
+        .toArray();
+
+/*
+ * Before the unique indexes, a double-click or a retried request could save the same favorite
+ * twice. The extra copies are dropped (the oldest is kept) and taken back out of savedCount.
+ * Duplicate users are not merged automatically: each copy may hold data (role, plan,
+ * suspension) someone has to look at, so the migration stops and lists them instead.
+ */
+const up = async ({ collections, log }) => {
+    const { usersCollection, favoritesCollection, lessonsCollection } = collections;
+
+    const duplicateUsers = await duplicatesOf(usersCollection, ["email"]);
+    if (duplicateUsers.length) {
+        const list = duplicateUsers.map((d) => `${d._id.email} (${d.ids.join(", ")})`).join("; ");
+        throw new Error(`Duplicate users must be merged by hand before users.email can be unique: ${list}`);
+    }
+
+    const duplicateFavorites = await duplicatesOf(favoritesCollection, ["lessonId", "userEmail"]);
+    let removed = 0;
+    for (const { _id: key, ids } of duplicateFavorites) {
+        const extra = ids.slice(1);
+        const { deletedCount } = await favoritesCollection.deleteMany({ _id: { $in: extra } });
+        removed += deletedCount;
+        await lessonsCollection.updateOne({ _id: key.lessonId }, [
+            { $set: { savedCount: { $max: [0, { $subtract: [{ $ifNull: ["$savedCount", 0] }, deletedCount] }] } } },
+        ]);
+    }
+    if (removed) log(`favoritesCollection: removed ${removed} duplicate favorites`);
+
+    const usersIndex = await usersCollection.createIndex({ email: 1 }, { unique: true });
+    const favoritesIndex = await favoritesCollection.createIndex({ lessonId: 1, userEmail: 1 }, { unique: true });
+    log(`usersCollection: ${usersIndex}, favoritesCollection: ${favoritesIndex}`);
+};
+
+module.exports = { version: 2, name: "unique-users-favorites", up };
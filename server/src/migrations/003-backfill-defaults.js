@@ -0,0 +1,81 @@
+// fields that newer code sets on insert and older documents never got
+const DEFAULTS = {
+    lessonsCollection: {
+        status: "published",
+        visibility: "public",
+        accessLevel: "free",
+        tags: [],
+        likes: [],
+        isDeleted: false,
+        isFeatured: false,
+        isReviewed: false,
+    },
+    commentsCollection: { parentId: null, isDeleted: false, editedAt: null },
+    reportsCollection: { status: "pending", history: [] },
+    usersCollection: { role: "user", isPremium: false },
+};
+
+const setMissing = async (collection, field, value) => {
+    const { modifiedCount } = await collection.updateMany({ [field]: { $exists: false } }, { $set: { [field]: value } });
+    return modifiedCount;
+};
+
+/*
+ * Sets a counter on documents that don't have one yet from per-_id counts ({ _id, count } rows),
+ * and 0 on the rest. Documents that already have the counter keep it.
+ */
+const backfillCounter = async (collection, field, counts) => {
+    let modified = 0;
+    if (counts.length) {
+        const result = await collection.bulkWrite(
+            counts.map(({ _id, count }) => ({
+                updateOne: { filter: { _id, [field]: { $exists: false } }, update: { $set: { [field]: count } } },
+            })),
+            { ordered: false }
+        );
+        modified = result.modifiedCount;
+    }
+    return modified + (await setMissing(collection, field, 0));
+};
+
+// only counted comments: not deleted and not waiting in the moderation queue
+const countVisibleComments = (commentsCollection, groupBy, match = {}) =>
+    commentsCollection
+        .aggregate([
+            { $match: { ...match, isDeleted: { $ne: true }, held: { $ne: true } } },
+            { $group: { _id: `$${groupBy}`, count: { $sum: 1 } } },
+        ])
+        .toArray();
+
+const up = async ({ collections, log }) => {
+    const { lessonsCollection, commentsCollection, favoritesCollection } = collections;
+
+    for (const [name, fields] of Object.entries(DEFAULTS)) {
+        for (const [field, value] of Object.entries(fields)) {
+            const modified = await setMissing(collections[name], field, value);
+            if (modified) log(`${name}.${field}: ${modified}`);
+        }
+    }
+
+    const counters = {};
+
+    const likes = await lessonsCollection.updateMany({ likesCount: { $exists: false } }, [
+        { $set: { likesCount: { $size: { $ifNull: ["$likes", []] } } } },
+    ]);
+    counters["lessonsCollection.likesCount"] = likes.modifiedCount;
+
+    const saves = await favoritesCollection.aggregate([{ $group: { _id: "$lessonId", count: { $sum: 1 } } }]).toArray();
+    counters["lessonsCollection.savedCount"] = await backfillCounter(lessonsCollection, "savedCount", saves);
+
+    const comments = await countVisibleComments(commentsCollection, "lessonId");
+    counters["lessonsCollection.commentsCount"] = await backfillCounter(lessonsCollection, "commentsCount", comments);
+
+    const replies = await countVisibleComments(commentsCollection, "parentId", { parentId: { $ne: null } });
+    counters["commentsCollection.replyCount"] = await backfillCounter(commentsCollection, "replyCount", replies);
+
+    for (const [field, modified] of Object.entries(counters)) {
+        if (modified) log(`${field}: ${modified}`);
+    }
+};
+
+module.exports = { version: 3, name: "backfill-defaults", up };
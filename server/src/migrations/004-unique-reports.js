@@ -0,0 +1,38 @@
+// how far a report got; of several copies the one furthest along is kept
+const STATUS_RANK = { actioned: 3, dismissed: 3, resolved: 3, under_review: 2, pending: 1 };
+
+/*
+ * One report per user per lesson. The upsert in createReport only guarantees that with a unique
+ * index behind it; before that, concurrent submissions could each insert a copy. Of every set of
+ * copies the one a moderator got furthest with is kept (the oldest on a tie), the rest removed.
+ */
+const up = async ({ collections, log }) => {
+    const { reportsCollection } = collections;
+
+    const groups = await reportsCollection
+        .aggregate([
+            { $group: { _id: { lessonId: "$lessonId", reporterEmail: "$reporterEmail" }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } },
+        ])
+        .toArray();
+
+    let removed = 0;
+    for (const { _id: key } of groups) {
+        const copies = await reportsCollection
+            .find({ lessonId: key.lessonId, reporterEmail: key.reporterEmail })
+            .project({ status: 1 })
+            .sort({ _id: 1 })
+            .toArray();
+        const keep = copies.reduce((best, r) =>
+            (STATUS_RANK[r.status] || 0) > (STATUS_RANK[best.status] || 0) ? r : best
+        );
+        const extra = copies.filter((r) => r !== keep).map((r) => r._id);
+        removed += (await reportsCollection.deleteMany({ _id: { $in: extra } })).deletedCount;
+    }
+    if (removed) log(`reportsCollection: removed ${removed} duplicate reports`);
+
+    const index = await reportsCollection.createIndex({ lessonId: 1, reporterEmail: 1 }, { unique: true });
+    log(`reportsCollection: ${index}`);
+};
+
+module.exports = { version: 4, name: "unique-reports", up };
@@ -0,0 +1,71 @@
+// groups of documents (matching match) sharing the same values for keys, oldest _id first
+const duplicatesOf = (collection, keys, match = {}) =>
+    collection
+        .aggregate([
+            { $match: match },
+            { $sort: { _id: 1 } },
+            {
+                $group: {
+                    _id: Object.fromEntries(keys.map((k) => [k, `$${k}`])),
+                    ids: { $push: "$_id" },
+                    count: { $sum: 1 },
+                },
+            },
+            { $match: { count: { $gt: 1 } } },
+        ])
+        .toArray();
+
+// takes n back out of a counter without going below 0
+const decrementCounter = (collection, filter, field, n) =>
+    collection.updateOne(filter, [
+        { $set: { [field]: { $max: [0, { $subtract: [{ $ifNull: [`$${field}`, 0] }, n] }] } } },
+    ]);
+
+// 001 created the follows index without unique; an index can't change its options in place
+const dropIfNotUnique = async (collection, name) => {
+    const indexes = await collection.indexes().catch((err) => {
+        // the collection doesn't exist yet
+        if (err.code === 26) return [];
+        throw err;
+    });
+    const existing = indexes.find((i) => i.name === name);
+    if (existing && !existing.unique) await collection.dropIndex(name);
+};
+
+/*
+ * followAuthor and the view de-duplication in recordLessonEvent both upsert on a key that
+ * nothing kept unique, so concurrent requests could each insert a row and bump the counters
+ * twice. The extra copies are dropped (the oldest is kept) and taken back out of
+ * followersCount/followingCount and viewsCount before the unique indexes go on.
+ */
+const up = async ({ collections, log }) => {
+    const { followsCollection, lessonEventsCollection, usersCollection, lessonsCollection } = collections;
+
+    let removedFollows = 0;
+    for (const { _id: key, ids } of await duplicatesOf(followsCollection, ["followerEmail", "followingEmail"])) {
+        const { deletedCount } = await followsCollection.deleteMany({ _id: { $in: ids.slice(1) } });
+        removedFollows += deletedCount;
+        await decrementCounter(usersCollection, { email: key.followingEmail }, "followersCount", deletedCount);
+        await decrementCounter(usersCollection, { email: key.followerEmail }, "followingCount", deletedCount);
+    }
+    if (removedFollows) log(`followsCollection: removed ${removedFollows} duplicate follows`);
+
+    const viewKeys = ["lessonId", "day", "actorEmail", "sessionId"];
+    let removedViews = 0;
+    for (const { _id: key, ids } of await duplicatesOf(lessonEventsCollection, viewKeys, { type: "view" })) {
+        const { deletedCount } = await lessonEventsCollection.deleteMany({ _id: { $in: ids.slice(1) } });
+        removedViews += deletedCount;
+        await decrementCounter(lessonsCollection, { _id: key.lessonId }, "viewsCount", deletedCount);
+    }
+    if (removedViews) log(`lessonEventsCollection: removed ${removedViews} duplicate views`);
+
+    await dropIfNotUnique(followsCollection, "followerEmail_1_followingEmail_1");
+    const followsIndex = await followsCollection.createIndex({ followerEmail: 1, followingEmail: 1 }, { unique: true });
+    const viewsIndex = await lessonEventsCollection.createIndex(
+        { lessonId: 1, day: 1, actorEmail: 1, sessionId: 1 },
+        { name: "unique_views", unique: true, partialFilterExpression: { type: "view" } }
+    );
+    log(`followsCollection: ${followsIndex}, lessonEventsCollection: ${viewsIndex}`);
+};
+
+module.exports = { version: 5, name: "unique-follows-views", up };
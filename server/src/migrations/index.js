@@ -0,0 +1,12 @@
+/*
+ * Every migration, in order. Listed by hand rather than read from the directory so the
+ * serverless bundler sees them. A migration is { version, name, up({ collections, log }) };
+ * versions only ever go up, and an applied migration is never edited, only followed by a new one.
+ */
+module.exports = [
+    require("./001-indexes"),
+    require("./002-unique-users-favorites"),
+    require("./003-backfill-defaults"),
+    require("./004-unique-reports"),
+    require("./005-unique-follows-views"),
+];
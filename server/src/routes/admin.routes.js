@@ -1,24 +1,172 @@
 const router = require("express").Router();
 const { asyncHandler } = require("../middleware/asyncHandler");
+const { validateRequest } = require("../middleware/validate");
 const { verifyFBToken } = require("../middleware/auth");
 const { verifyAdmin } = require("../middleware/rbac");
+const { audit } = require("../middleware/audit");
+const schemas = require("../validation/admin.schemas");
 const admin = require("../controllers/admin.controller");
+const contentFilter = require("../controllers/contentFilter.controller");
 
 router.get("/users", verifyFBToken, verifyAdmin, asyncHandler(admin.listUsersWithLessonsCount));
-router.patch("/users/:id/make-admin", verifyFBToken, verifyAdmin, asyncHandler(admin.makeAdmin));
-router.patch("/users/:id/role", verifyFBToken, verifyAdmin, asyncHandler(admin.updateUserRole));
+router.patch(
+    "/users/:id/make-admin",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.byId),
+    audit("user.make_admin", { type: "user", param: "id" }),
+    asyncHandler(admin.makeAdmin)
+);
+router.patch(
+    "/users/:id/role",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.updateRole),
+    audit("user.role_update", { type: "user", param: "id" }),
+    asyncHandler(admin.updateUserRole)
+);
+
+// suspensions
+router.get("/suspensions", verifyFBToken, verifyAdmin, asyncHandler(admin.listSuspensions));
+router.post(
+    "/users/:id/suspension",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.suspend),
+    audit("user.suspend", { type: "user", param: "id" }),
+    asyncHandler(admin.suspendAccount)
+);
+router.delete(
+    "/users/:id/suspension",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.liftSuspension),
+    audit("user.unsuspend", { type: "user", param: "id" }),
+    asyncHandler(admin.liftAccountSuspension)
+);
 
 router.get("/stats", verifyFBToken, verifyAdmin, asyncHandler(admin.adminStats));
 
 // lessons admin list + actions
-router.get("/lessons", verifyFBToken, verifyAdmin, asyncHandler(admin.adminLessonsList));
-router.patch("/lessons/:id/toggle-visibility", verifyFBToken, verifyAdmin, asyncHandler(admin.toggleLessonVisibility));
-router.patch("/lessons/:id/featured", verifyFBToken, verifyAdmin, asyncHandler(admin.setFeatured));
-router.patch("/lessons/:id/reviewed", verifyFBToken, verifyAdmin, asyncHandler(admin.setReviewed));
-router.delete("/lessons/:id/hard-delete", verifyFBToken, verifyAdmin, asyncHandler(admin.hardDeleteLesson));
+router.get(
+    "/lessons",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.lessonsList),
+    asyncHandler(admin.adminLessonsList)
+);
+router.patch(
+    "/lessons/:id/toggle-visibility",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.byId),
+    audit("lesson.visibility_toggle", { type: "lesson", param: "id" }),
+    asyncHandler(admin.toggleLessonVisibility)
+);
+router.patch(
+    "/lessons/:id/featured",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.featured),
+    audit("lesson.featured", { type: "lesson", param: "id" }),
+    asyncHandler(admin.setFeatured)
+);
+router.patch(
+    "/lessons/:id/reviewed",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.reviewed),
+    audit("lesson.reviewed", { type: "lesson", param: "id" }),
+    asyncHandler(admin.setReviewed)
+);
+router.patch(
+    "/lessons/:id/hidden",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.hidden),
+    audit("lesson.hidden", { type: "lesson", param: "id" }),
+    asyncHandler(admin.setHidden)
+);
+router.delete(
+    "/lessons/:id/hard-delete",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.byId),
+    audit("lesson.hard_delete", { type: "lesson", param: "id" }),
+    asyncHandler(admin.hardDeleteLesson)
+);
+
+// trash bin
+router.get("/trash", verifyFBToken, verifyAdmin, validateRequest(schemas.trash), asyncHandler(admin.adminTrash));
+router.post(
+    "/trash/:id/restore",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.byId),
+    audit("lesson.restore", { type: "lesson", param: "id" }),
+    asyncHandler(admin.restoreTrashedLesson)
+);
+
+// append-only, there are no routes that change it
+router.get(
+    "/audit-log",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.auditLog),
+    asyncHandler(admin.listAuditLog)
+);
 
 // reported lessons grouping
 router.get("/reported-lessons", verifyFBToken, verifyAdmin, asyncHandler(admin.groupedReportedLessons));
-router.delete("/reported-lessons/:lessonId", verifyFBToken, verifyAdmin, asyncHandler(admin.ignoreLessonReports));
+router.patch(
+    "/reported-lessons/:lessonId/decision",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.decideReports),
+    audit("reports.decide", { type: "lesson", param: "lessonId" }),
+    asyncHandler(admin.decideLessonReports)
+);
+router.delete(
+    "/reported-lessons/:lessonId",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.ignoreReports),
+    audit("reports.ignore", { type: "lesson", param: "lessonId" }),
+    asyncHandler(admin.ignoreLessonReports)
+);
+
+// content filter: held submissions and the word lists
+router.get(
+    "/moderation-queue",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.moderationQueue),
+    asyncHandler(contentFilter.listModerationQueue)
+);
+router.patch(
+    "/moderation-queue/:id/decision",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.decideQueueItem),
+    audit("moderation_queue.decide", { type: "moderationItem", param: "id" }),
+    asyncHandler(contentFilter.decideModerationItem)
+);
+router.get("/content-filter/lists", verifyFBToken, verifyAdmin, asyncHandler(contentFilter.getWordListsAdmin));
+router.put(
+    "/content-filter/lists/:name",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.replaceWordList),
+    audit("content_filter.list_replace", { type: "wordList", param: "name" }),
+    asyncHandler(contentFilter.replaceWordList)
+);
+router.patch(
+    "/content-filter/lists/:name",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.updateWordList),
+    audit("content_filter.list_update", { type: "wordList", param: "name" }),
+    asyncHandler(contentFilter.updateWordList)
+);
 
 module.exports = router;
\ No newline at end of file
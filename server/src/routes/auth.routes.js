@@ -0,0 +1,42 @@
+const router = require("express").Router();
+const { asyncHandler } = require("../middleware/asyncHandler");
+const { rateLimit } = require("../middleware/rateLimit");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken, optionalAuth } = require("../middleware/auth");
+const schemas = require("../validation/auth.schemas");
+const auth = require("../controllers/auth.controller");
+
+router.get("/config", asyncHandler(auth.getAuthConfig));
+
+// local provider: email/password accounts, JWT access tokens and rotating refresh tokens
+router.post(
+    "/register",
+    auth.requireLocalAuth,
+    rateLimit("signup"),
+    validateRequest(schemas.register),
+    asyncHandler(auth.registerLocal)
+);
+router.post(
+    "/login",
+    auth.requireLocalAuth,
+    rateLimit("login"),
+    validateRequest(schemas.login),
+    asyncHandler(auth.loginLocal)
+);
+router.post(
+    "/refresh",
+    auth.requireLocalAuth,
+    rateLimit("refresh"),
+    validateRequest(schemas.refresh),
+    asyncHandler(auth.refreshLocal)
+);
+router.post(
+    "/logout",
+    auth.requireLocalAuth,
+    optionalAuth,
+    validateRequest(schemas.logout),
+    asyncHandler(auth.logoutLocal)
+);
+router.post("/logout-all", auth.requireLocalAuth, verifyFBToken, asyncHandler(auth.logoutAllLocal));
+
+module.exports = router;
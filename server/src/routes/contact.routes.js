@@ -1,7 +1,49 @@
 const router = require("express").Router();
 const { asyncHandler } = require("../middleware/asyncHandler");
+const { rateLimit } = require("../middleware/rateLimit");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken } = require("../middleware/auth");
+const { verifyAdmin } = require("../middleware/rbac");
+const { audit } = require("../middleware/audit");
+const schemas = require("../validation/contact.schemas");
 const contact = require("../controllers/contact.controller");
 
-router.post("/", asyncHandler(contact.createContactMessage));
+router.post("/", rateLimit("contact"), validateRequest(schemas.create), asyncHandler(contact.createContactMessage));
 
-module.exports = router;
\ No newline at end of file
+// admin inbox
+router.get("/", verifyFBToken, verifyAdmin, validateRequest(schemas.list), asyncHandler(contact.listContactMessages));
+router.get("/:id", verifyFBToken, verifyAdmin, validateRequest(schemas.byId), asyncHandler(contact.getContactMessage));
+router.patch(
+    "/:id/status",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.updateStatus),
+    audit("contact.status", { type: "contactMessage", param: "id" }),
+    asyncHandler(contact.updateContactStatus)
+);
+router.post(
+    "/:id/notes",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.addNote),
+    audit("contact.note", { type: "contactMessage", param: "id" }),
+    asyncHandler(contact.addContactNote)
+);
+router.post(
+    "/:id/replies",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.reply),
+    audit("contact.reply", { type: "contactMessage", param: "id" }),
+    asyncHandler(contact.replyToContact)
+);
+router.post(
+    "/:id/link-user",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.byId),
+    audit("contact.link_user", { type: "contactMessage", param: "id" }),
+    asyncHandler(contact.linkContactUser)
+);
+
+module.exports = router;
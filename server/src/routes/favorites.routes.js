@@ -1,10 +1,21 @@
 const router = require("express").Router();
 const { asyncHandler } = require("../middleware/asyncHandler");
+const { rateLimit } = require("../middleware/rateLimit");
+const { validateRequest } = require("../middleware/validate");
 const { verifyFBToken } = require("../middleware/auth");
+const { verifyNotSuspended } = require("../middleware/suspension");
+const schemas = require("../validation/favorites.schemas");
 const fav = require("../controllers/favorites.controller");
 
-router.post("/", verifyFBToken, asyncHandler(fav.addFavorite));
+router.post(
+    "/",
+    verifyFBToken,
+    rateLimit("favorite"),
+    validateRequest(schemas.add),
+    verifyNotSuspended,
+    asyncHandler(fav.addFavorite)
+);
 router.get("/", verifyFBToken, asyncHandler(fav.listFavorites));
-router.delete("/:id", verifyFBToken, asyncHandler(fav.removeFavorite));
+router.delete("/:id", verifyFBToken, validateRequest(schemas.remove), asyncHandler(fav.removeFavorite));
 
 module.exports = router;
\ No newline at end of file
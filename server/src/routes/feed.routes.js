@@ -0,0 +1,10 @@
+const router = require("express").Router();
+const { asyncHandler } = require("../middleware/asyncHandler");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken } = require("../middleware/auth");
+const schemas = require("../validation/feed.schemas");
+const feed = require("../controllers/feed.controller");
+
+router.get("/", verifyFBToken, validateRequest(schemas.home), asyncHandler(feed.homeFeed));
+
+module.exports = router;
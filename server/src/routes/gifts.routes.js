@@ -0,0 +1,19 @@
+const router = require("express").Router();
+const { asyncHandler } = require("../middleware/asyncHandler");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const schemas = require("../validation/gifts.schemas");
+const gifts = require("../controllers/gifts.controller");
+
+router.post(
+    "/checkout",
+    verifyFBToken,
+    rateLimit("checkout"),
+    validateRequest(schemas.checkout),
+    asyncHandler(gifts.createGiftCheckout)
+);
+router.get("/", verifyFBToken, asyncHandler(gifts.myGifts));
+router.post("/redeem", verifyFBToken, validateRequest(schemas.redeem), asyncHandler(gifts.redeemGift));
+
+module.exports = router;
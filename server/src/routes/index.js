@@ -1,12 +1,19 @@
 const router = require("express").Router();
 
+router.use("/auth", require("./auth.routes"));
 router.use("/users", require("./users.routes"));
 router.use("/lessons", require("./lessons.routes"));
 router.use("/admin", require("./admin.routes"));
 router.use("/reports", require("./reports.routes"));
 router.use("/favorites", require("./favorites.routes"));
 router.use("/contact-messages", require("./contact.routes"));
+router.use("/notifications", require("./notifications.routes"));
+router.use("/feed", require("./feed.routes"));
+router.use("/tags", require("./tags.routes"));
+router.use("/promo-codes", require("./promo.routes"));
+router.use("/gifts", require("./gifts.routes"));
 router.use("/", require("./payments.routes"));
 router.use("/stats", require("./stats.routes"));
+router.use("/jobs", require("./jobs.routes"));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const router = require("express").Router();
+const { asyncHandler } = require("../middleware/asyncHandler");
+const { verifyCronSecret } = require("../middleware/cron");
+const jobs = require("../controllers/jobs.controller");
+
+// GET so Vercel Cron can call them directly
+router.get("/mail-queue", verifyCronSecret, asyncHandler(jobs.runMailQueue));
+router.get("/trending", verifyCronSecret, asyncHandler(jobs.runTrending));
+router.get("/suspensions", verifyCronSecret, asyncHandler(jobs.runSuspensions));
+router.get("/trash-purge", verifyCronSecret, asyncHandler(jobs.runTrashPurge));
+router.get("/account-deletions", verifyCronSecret, asyncHandler(jobs.runAccountDeletions));
+router.get("/weekly-digest", verifyCronSecret, asyncHandler(jobs.runWeeklyDigest));
+
+module.exports = router;
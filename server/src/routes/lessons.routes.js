@@ -1,37 +1,152 @@
 const router = require("express").Router();
 const { asyncHandler } = require("../middleware/asyncHandler");
-const { verifyFBToken } = require("../middleware/auth");
-const { verifyAdmin } = require("../middleware/rbac");
-const { verifyLessonOwnerOrAdmin } = require("../middleware/lessonAccess");
+const { rateLimit } = require("../middleware/rateLimit");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken, optionalAuth } = require("../middleware/auth");
+const { verifyNotSuspended } = require("../middleware/suspension");
+const { verifyAdmin, trackModeration } = require("../middleware/rbac");
+const { audit } = require("../middleware/audit");
+const { verifyLessonReadable, verifyLessonOwnerOrAdmin } = require("../middleware/lessonAccess");
+const schemas = require("../validation/lessons.schemas");
 const lessons = require("../controllers/lessons.controller");
+const comments = require("../controllers/comments.controller");
+const revisions = require("../controllers/revisions.controller");
 
 // create lesson
-router.post("/", verifyFBToken, asyncHandler(lessons.createLesson));
+router.post(
+    "/",
+    verifyFBToken,
+    validateRequest(schemas.create),
+    verifyNotSuspended,
+    asyncHandler(lessons.createLesson)
+);
 
 // my lessons
-router.get("/my", verifyFBToken, asyncHandler(lessons.myLessons));
-router.delete("/my/:id", verifyFBToken, asyncHandler(lessons.deleteMyLesson));
+router.get("/my", verifyFBToken, validateRequest(schemas.myLessons), asyncHandler(lessons.myLessons));
+router.delete("/my/:id", verifyFBToken, validateRequest(schemas.byId), asyncHandler(lessons.deleteMyLesson));
+
+// trash bin (deleted lessons are purged after the retention period)
+router.get("/my/trash", verifyFBToken, asyncHandler(lessons.myTrash));
+router.post(
+    "/my/trash/:id/restore",
+    verifyFBToken,
+    validateRequest(schemas.byId),
+    asyncHandler(lessons.restoreMyLesson)
+);
+router.delete("/my/trash/:id", verifyFBToken, validateRequest(schemas.byId), asyncHandler(lessons.purgeMyLesson));
 
 // public lists
-router.get("/public", asyncHandler(lessons.publicLessons));
+router.get("/public", validateRequest(schemas.publicList), asyncHandler(lessons.publicLessons));
 router.get("/featured", asyncHandler(lessons.featuredLessons));
 router.get("/most-saved", asyncHandler(lessons.mostSavedLessons));
+router.get("/trending", validateRequest(schemas.trending), asyncHandler(lessons.trendingLessons));
+
+// comments (same read rules as lesson details, anonymous readers included)
+router.get(
+    "/:id/comments",
+    optionalAuth,
+    validateRequest(schemas.listComments),
+    verifyLessonReadable,
+    asyncHandler(comments.getComments)
+);
+router.post(
+    "/:id/comments",
+    verifyFBToken,
+    rateLimit("comment"),
+    validateRequest(schemas.addComment),
+    verifyNotSuspended,
+    verifyLessonReadable,
+    asyncHandler(comments.addComment)
+);
+router.patch(
+    "/:id/comments/:commentId",
+    verifyFBToken,
+    rateLimit("comment"),
+    validateRequest(schemas.editComment),
+    verifyNotSuspended,
+    verifyLessonReadable,
+    asyncHandler(comments.editComment)
+);
+router.delete(
+    "/:id/comments/:commentId",
+    verifyFBToken,
+    validateRequest(schemas.deleteComment),
+    trackModeration(comments.isOthersComment),
+    audit("comment.delete", { type: "comment", param: "commentId" }),
+    asyncHandler(comments.deleteComment)
+);
 
-// comments
-router.get("/:id/comments", asyncHandler(lessons.getComments));
-router.post("/:id/comments", verifyFBToken, asyncHandler(lessons.addComment));
+// recommendations
+router.get(
+    "/:id/related",
+    optionalAuth,
+    validateRequest(schemas.related),
+    verifyLessonReadable,
+    asyncHandler(lessons.relatedLessons)
+);
 
-// details + premium guard
-router.get("/:id", verifyFBToken, asyncHandler(lessons.lessonDetails));
+// details + premium guard; public lessons can be read without signing in
+router.get("/:id", optionalAuth, validateRequest(schemas.byId), asyncHandler(lessons.lessonDetails));
 
 // update (owner/admin)
-router.patch("/:id", verifyFBToken, verifyLessonOwnerOrAdmin, asyncHandler(lessons.updateLesson));
+router.patch(
+    "/:id",
+    verifyFBToken,
+    validateRequest(schemas.update),
+    verifyLessonOwnerOrAdmin,
+    asyncHandler(lessons.updateLesson)
+);
+
+// revision history (owner/admin)
+router.get(
+    "/:id/revisions",
+    verifyFBToken,
+    validateRequest(schemas.byId),
+    verifyLessonOwnerOrAdmin,
+    asyncHandler(revisions.listRevisions)
+);
+router.get(
+    "/:id/revisions/diff",
+    verifyFBToken,
+    validateRequest(schemas.diffRevisions),
+    verifyLessonOwnerOrAdmin,
+    asyncHandler(revisions.diffRevisions)
+);
+router.get(
+    "/:id/revisions/:revision",
+    verifyFBToken,
+    validateRequest(schemas.revision),
+    verifyLessonOwnerOrAdmin,
+    asyncHandler(revisions.getRevision)
+);
+router.post(
+    "/:id/revisions/:revision/restore",
+    verifyFBToken,
+    validateRequest(schemas.revision),
+    verifyLessonOwnerOrAdmin,
+    asyncHandler(revisions.restoreRevision)
+);
 
 // like
-router.patch("/:id/like", verifyFBToken, asyncHandler(lessons.toggleLike));
+router.patch(
+    "/:id/like",
+    verifyFBToken,
+    rateLimit("like"),
+    validateRequest(schemas.byId),
+    verifyNotSuspended,
+    verifyLessonReadable,
+    asyncHandler(lessons.toggleLike)
+);
 
 // ✅ admin-only existing routes under /lessons
 router.get("/", verifyFBToken, verifyAdmin, asyncHandler(lessons.adminLessonsRaw));
-router.delete("/:id", verifyFBToken, verifyAdmin, asyncHandler(lessons.adminDeleteLesson));
+router.delete(
+    "/:id",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.byId),
+    audit("lesson.delete", { type: "lesson", param: "id" }),
+    asyncHandler(lessons.adminDeleteLesson)
+);
 
 module.exports = router;
\ No newline at end of file
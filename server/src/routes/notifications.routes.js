@@ -0,0 +1,22 @@
+const router = require("express").Router();
+const { asyncHandler } = require("../middleware/asyncHandler");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken } = require("../middleware/auth");
+const schemas = require("../validation/notifications.schemas");
+const notifications = require("../controllers/notifications.controller");
+
+router.get("/", verifyFBToken, validateRequest(schemas.list), asyncHandler(notifications.listNotifications));
+router.get("/unread-count", verifyFBToken, asyncHandler(notifications.unreadCount));
+router.patch("/read-all", verifyFBToken, asyncHandler(notifications.markAllRead));
+
+router.get("/preferences", verifyFBToken, asyncHandler(notifications.getNotificationPreferences));
+router.patch(
+    "/preferences",
+    verifyFBToken,
+    validateRequest(schemas.preferences),
+    asyncHandler(notifications.updateNotificationPreferences)
+);
+
+router.patch("/:id/read", verifyFBToken, validateRequest(schemas.markRead), asyncHandler(notifications.markRead));
+
+module.exports = router;
@@ -1,9 +1,24 @@
 const router = require("express").Router();
 const { asyncHandler } = require("../middleware/asyncHandler");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const schemas = require("../validation/payments.schemas");
 const pay = require("../controllers/payments.controller");
 
 // keep same root endpoints
-router.post("/create-checkout-session", asyncHandler(pay.createCheckoutSession));
-router.patch("/payment-success", asyncHandler(pay.paymentSuccess));
+router.get("/plans", asyncHandler(pay.listPlans));
+router.post(
+    "/create-checkout-session",
+    verifyFBToken,
+    rateLimit("checkout"),
+    validateRequest(schemas.checkout),
+    asyncHandler(pay.createCheckoutSession)
+);
+router.patch("/payment-success", validateRequest(schemas.paymentSuccess), asyncHandler(pay.paymentSuccess));
+
+// current user's plan / subscription
+router.get("/subscription", verifyFBToken, asyncHandler(pay.getMySubscription));
+router.delete("/subscription", verifyFBToken, asyncHandler(pay.cancelMySubscription));
 
 module.exports = router;
\ No newline at end of file
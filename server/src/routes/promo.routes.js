@@ -0,0 +1,32 @@
+const router = require("express").Router();
+const { asyncHandler } = require("../middleware/asyncHandler");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken } = require("../middleware/auth");
+const { verifyAdmin } = require("../middleware/rbac");
+const { audit } = require("../middleware/audit");
+const { normalizeCode } = require("../services/promo.service");
+const schemas = require("../validation/promo.schemas");
+const promo = require("../controllers/promo.controller");
+
+router.post("/validate", validateRequest(schemas.preview), asyncHandler(promo.previewPromoCode));
+
+// admin management
+router.get("/", verifyFBToken, verifyAdmin, asyncHandler(promo.listPromoCodes));
+router.post(
+    "/",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.create),
+    audit("promo.create", { type: "promoCode", field: "code", id: (req) => normalizeCode(req.body?.code) }),
+    asyncHandler(promo.createPromoCode)
+);
+router.patch(
+    "/:id",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.update),
+    audit("promo.update", { type: "promoCode", param: "id" }),
+    asyncHandler(promo.updatePromoCode)
+);
+
+module.exports = router;
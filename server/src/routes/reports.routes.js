@@ -1,12 +1,46 @@
 const router = require("express").Router();
 const { asyncHandler } = require("../middleware/asyncHandler");
+const { rateLimit } = require("../middleware/rateLimit");
+const { validateRequest } = require("../middleware/validate");
 const { verifyFBToken } = require("../middleware/auth");
+const { verifyNotSuspended } = require("../middleware/suspension");
 const { verifyAdmin } = require("../middleware/rbac");
+const { audit } = require("../middleware/audit");
+const schemas = require("../validation/reports.schemas");
 const reports = require("../controllers/reports.controller");
 
-router.post("/", verifyFBToken, asyncHandler(reports.createReport));
-router.get("/", verifyFBToken, verifyAdmin, asyncHandler(reports.listReports));
-router.patch("/:id/resolve", verifyFBToken, verifyAdmin, asyncHandler(reports.resolveReport));
-router.delete("/:id", verifyFBToken, verifyAdmin, asyncHandler(reports.deleteReport));
+router.post(
+    "/",
+    verifyFBToken,
+    rateLimit("report"),
+    validateRequest(schemas.create),
+    verifyNotSuspended,
+    asyncHandler(reports.createReport)
+);
+router.get("/", verifyFBToken, verifyAdmin, validateRequest(schemas.list), asyncHandler(reports.listReports));
+router.patch(
+    "/:id/review",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.review),
+    audit("report.review", { type: "report", param: "id" }),
+    asyncHandler(reports.reviewReport)
+);
+router.patch(
+    "/:id/resolve",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.resolve),
+    audit("report.resolve", { type: "report", param: "id" }),
+    asyncHandler(reports.resolveReport)
+);
+router.delete(
+    "/:id",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.dismiss),
+    audit("report.dismiss", { type: "report", param: "id" }),
+    asyncHandler(reports.dismissReport)
+);
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,14 @@
 const router = require("express").Router();
 const { asyncHandler } = require("../middleware/asyncHandler");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken } = require("../middleware/auth");
+const schemas = require("../validation/stats.schemas");
 const stats = require("../controllers/stats.controller");
 
 router.get("/home", asyncHandler(stats.homeStats));
 router.get("/categories", asyncHandler(stats.categoriesStats));
 router.get("/top-contributors", asyncHandler(stats.topContributors));
-router.get("/author/:email", asyncHandler(stats.authorStats));
+router.get("/author/:email", validateRequest(schemas.author), asyncHandler(stats.authorStats));
+router.get("/me", verifyFBToken, validateRequest(schemas.me), asyncHandler(stats.myAuthorStats));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const router = require("express").Router();
+const { asyncHandler } = require("../middleware/asyncHandler");
+const { validateRequest } = require("../middleware/validate");
+const { verifyFBToken } = require("../middleware/auth");
+const { verifyAdmin } = require("../middleware/rbac");
+const { audit } = require("../middleware/audit");
+const schemas = require("../validation/tags.schemas");
+const tags = require("../controllers/tags.controller");
+
+router.get("/", validateRequest(schemas.popular), asyncHandler(tags.popularTags));
+router.get("/autocomplete", validateRequest(schemas.autocomplete), asyncHandler(tags.autocompleteTags));
+router.get("/:tag/lessons", validateRequest(schemas.lessonsByTag), asyncHandler(tags.lessonsByTag));
+
+// admin: merge / rename across all lessons
+router.post(
+    "/merge",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.merge),
+    audit("tags.merge", { type: "tag", id: (req) => req.body?.to }),
+    asyncHandler(tags.mergeTags)
+);
+
+module.exports = router;
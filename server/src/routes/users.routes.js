@@ -1,20 +1,61 @@
 const router = require("express").Router();
 const { asyncHandler } = require("../middleware/asyncHandler");
-const { verifyFBToken } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const { validateRequest } = require("../middleware/validate");
+const { AUTH_PROVIDER } = require("../config/auth");
+const { verifyFBToken, optionalAuth } = require("../middleware/auth");
 const { verifyAdmin } = require("../middleware/rbac");
+const { audit } = require("../middleware/audit");
+const schemas = require("../validation/users.schemas");
 const {
     upsertUser,
     getUserByEmail,
     checkAdminSelf,
     listUsersRaw,
     deleteUserByEmail,
+    exportMyData,
+    requestAccountDeletion,
+    cancelMyAccountDeletion,
+    getEmailPreferences,
+    updateEmailPreferences,
 } = require("../controllers/users.controller");
+const follows = require("../controllers/follows.controller");
 
-router.post("/", asyncHandler(upsertUser));
-router.get("/:email", asyncHandler(getUserByEmail));
+// local sign-up creates the profile itself, so there POST /users only updates the caller's own
+const profileAuth = AUTH_PROVIDER === "local" ? verifyFBToken : optionalAuth;
 
-router.get("/admin/:email", verifyFBToken, asyncHandler(checkAdminSelf));
+router.post("/", profileAuth, rateLimit("signup"), validateRequest(schemas.upsert), asyncHandler(upsertUser));
+
+// own data: export and self-deletion (after a grace period)
+router.get("/me/export", verifyFBToken, asyncHandler(exportMyData));
+router.delete("/me", verifyFBToken, validateRequest(schemas.requestDeletion), asyncHandler(requestAccountDeletion));
+router.post("/me/cancel-deletion", verifyFBToken, asyncHandler(cancelMyAccountDeletion));
+
+router.get("/me/email-preferences", verifyFBToken, asyncHandler(getEmailPreferences));
+router.patch(
+    "/me/email-preferences",
+    verifyFBToken,
+    validateRequest(schemas.emailPreferences),
+    asyncHandler(updateEmailPreferences)
+);
+
+// following authors
+router.get("/me/following", verifyFBToken, asyncHandler(follows.listFollowing));
+router.get("/:email/follow-stats", verifyFBToken, validateRequest(schemas.byEmail), asyncHandler(follows.followStats));
+router.post("/:email/follow", verifyFBToken, validateRequest(schemas.byEmail), asyncHandler(follows.followAuthor));
+router.delete("/:email/follow", verifyFBToken, validateRequest(schemas.byEmail), asyncHandler(follows.unfollowAuthor));
+
+router.get("/:email", validateRequest(schemas.byEmail), asyncHandler(getUserByEmail));
+
+router.get("/admin/:email", verifyFBToken, validateRequest(schemas.byEmail), asyncHandler(checkAdminSelf));
 router.get("/", verifyFBToken, verifyAdmin, asyncHandler(listUsersRaw));
-router.delete("/:email", verifyFBToken, verifyAdmin, asyncHandler(deleteUserByEmail));
+router.delete(
+    "/:email",
+    verifyFBToken,
+    verifyAdmin,
+    validateRequest(schemas.deleteUser),
+    audit("user.delete", { type: "user", param: "email", field: "email" }),
+    asyncHandler(deleteUserByEmail)
+);
 
 module.exports = router;
\ No newline at end of file
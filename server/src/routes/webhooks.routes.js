@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const { asyncHandler } = require("../middleware/asyncHandler");
+const pay = require("../controllers/payments.controller");
+
+router.post("/stripe", express.raw({ type: "application/json" }), asyncHandler(pay.stripeWebhook));
+
+module.exports = router;
@@ -0,0 +1,51 @@
+/*
+ * node server/src/scripts/migrate.js <up|status>
+ *   up      applies pending migrations (exits 1 if one fails or another run holds the lock)
+ *   status  lists applied and pending migrations
+ */
+require("dotenv").config();
+const { closeDB } = require("../config/mongo");
+const { migrationStatus, runMigrations } = require("../services/migrations.service");
+
+const up = async () => {
+    const result = await runMigrations({ log: (msg) => console.log(msg) });
+    if (result.locked) {
+        console.error("Another migration run holds the lock; try again once it finishes.");
+        return 1;
+    }
+    console.log(result.applied.length ? `Applied ${result.applied.length} migration(s).` : "Nothing to apply.");
+    return 0;
+};
+
+const status = async () => {
+    const { migrations, unknown, pending } = await migrationStatus();
+    for (const m of [...migrations, ...unknown]) {
+        const when = m.appliedAt ? new Date(m.appliedAt).toISOString() : "";
+        console.log(`${String(m.version).padStart(3, "0")}  ${m.state.padEnd(8)} ${m.name}  ${when}`.trimEnd());
+    }
+    if (unknown.length) console.log(`${unknown.length} applied migration(s) are not in this codebase.`);
+    console.log(`${pending} pending.`);
+    return 0;
+};
+
+const COMMANDS = { up, status };
+
+const main = async () => {
+    const command = COMMANDS[process.argv[2]];
+    if (!command) {
+        console.error("Usage: migrate.js <up|status>");
+        return 1;
+    }
+    try {
+        return await command();
+    } catch (err) {
+        console.error(err);
+        return 1;
+    } finally {
+        await closeDB();
+    }
+};
+
+main().then((code) => {
+    process.exitCode = code;
+});
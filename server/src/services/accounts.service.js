@@ -0,0 +1,210 @@
+const { getCollections } = require("../config/mongo");
+const { getAuthProvider } = require("./auth");
+const { purgeLesson } = require("./trash.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+const ACCOUNT_DELETION_GRACE_DAYS = Number.isNaN(graceDays) || graceDays < 0 ? 14 : graceDays;
+const LESSON_DELETION_MODES = ["anonymize", "delete"];
+const DELETION_BATCH = 20;
+
+const DELETED_USER_NAME = "Deleted user";
+
+/*
+ * Everything we store about a user, for GET /users/me/export.
+ * Likes live on the lessons (likes array of emails), so they are listed as lesson refs.
+ */
+const buildUserExport = async (email) => {
+    const {
+        usersCollection,
+        lessonsCollection,
+        commentsCollection,
+        favoritesCollection,
+        reportsCollection,
+        followsCollection,
+        paymentsCollection,
+    } = await getCollections();
+
+    const lessonRef = { projection: { title: 1, creatorEmail: 1 } };
+    const [profile, lessons, comments, favorites, liked, reports, following, followers, payments] = await Promise.all([
+        usersCollection.findOne({ email }),
+        lessonsCollection.find({ creatorEmail: email }).project({ likes: 0 }).sort({ createdAt: -1 }).toArray(),
+        commentsCollection.find({ userEmail: email }).sort({ createdAt: -1 }).toArray(),
+        favoritesCollection.find({ userEmail: email }).sort({ createdAt: -1 }).toArray(),
+        lessonsCollection.find({ likes: email }, lessonRef).toArray(),
+        reportsCollection.find({ reporterEmail: email }).sort({ createdAt: -1 }).toArray(),
+        followsCollection.find({ followerEmail: email }).toArray(),
+        followsCollection.find({ followingEmail: email }).toArray(),
+        paymentsCollection.find({ email }).sort({ createdAt: -1 }).toArray(),
+    ]);
+
+    const favoriteLessons = await lessonsCollection
+        .find({ _id: { $in: favorites.map((f) => f.lessonId) } }, lessonRef)
+        .toArray();
+    const titles = new Map(favoriteLessons.map((l) => [String(l._id), l.title]));
+
+    return {
+        exportedAt: new Date(),
+        profile,
+        lessons,
+        comments,
+        favorites: favorites.map((f) => ({ ...f, lessonTitle: titles.get(String(f.lessonId)) || null })),
+        likes: liked.map((l) => ({ lessonId: l._id, lessonTitle: l.title })),
+        reports,
+        following: following.map((f) => ({ email: f.followingEmail, since: f.createdAt })),
+        followers: followers.map((f) => ({ email: f.followerEmail, since: f.createdAt })),
+        payments,
+    };
+};
+
+const removeFavoritesAndLikes = async (email) => {
+    const { favoritesCollection, lessonsCollection, lessonEventsCollection } = await getCollections();
+
+    const favorites = await favoritesCollection.find({ userEmail: email }).toArray();
+    for (const fav of favorites) {
+        await lessonsCollection.updateOne({ _id: fav.lessonId, savedCount: { $gt: 0 } }, { $inc: { savedCount: -1 } });
+    }
+    await favoritesCollection.deleteMany({ userEmail: email });
+
+    const liked = await lessonsCollection.find({ likes: email }, { projection: { _id: 1 } }).toArray();
+    for (const lesson of liked) {
+        await lessonsCollection.updateOne(
+            { _id: lesson._id, likes: email },
+            [
+                {
+                    $set: {
+                        likes: { $setDifference: ["$likes", { $literal: [email] }] },
+                        likesCount: { $max: [0, { $subtract: [{ $ifNull: ["$likesCount", 0] }, 1] }] },
+                    },
+                },
+            ]
+        );
+    }
+
+    await lessonEventsCollection.deleteMany({ actorEmail: email, type: { $in: ["like", "save"] } });
+    await lessonEventsCollection.updateMany({ actorEmail: email }, { $set: { actorEmail: null } });
+
+    return { favorites: favorites.length, likes: liked.length };
+};
+
+const removeFollows = async (email) => {
+    const { followsCollection, usersCollection } = await getCollections();
+    const [following, followers] = await Promise.all([
+        followsCollection.find({ followerEmail: email }).toArray(),
+        followsCollection.find({ followingEmail: email }).toArray(),
+    ]);
+
+    for (const f of following) {
+        await usersCollection.updateOne(
+            { email: f.followingEmail, followersCount: { $gt: 0 } },
+            { $inc: { followersCount: -1 } }
+        );
+    }
+    for (const f of followers) {
+        await usersCollection.updateOne(
+            { email: f.followerEmail, followingCount: { $gt: 0 } },
+            { $inc: { followingCount: -1 } }
+        );
+    }
+    await followsCollection.deleteMany({ $or: [{ followerEmail: email }, { followingEmail: email }] });
+};
+
+// the sign-in account goes too, otherwise the next sign-in would upsert the user again
+const deleteAuthUser = async (email) => {
+    try {
+        await getAuthProvider().deleteUser(email);
+    } catch (err) {
+        console.error("Auth user delete error:", err);
+    }
+};
+
+/*
+ * Removes an account for good. Lessons are anonymized (kept under "Deleted user") or purged,
+ * comments are anonymized so threads stay readable, favorites/likes/follows are removed with
+ * their counters fixed, and the user's reports stay for moderation history without the email.
+ * The payments ledger is kept for accounting.
+ */
+const deleteAccount = async (user, { lessons = "anonymize" } = {}) => {
+    const {
+        usersCollection,
+        lessonsCollection,
+        commentsCollection,
+        reportsCollection,
+        notificationsCollection,
+        mailQueueCollection,
+        moderationQueueCollection,
+    } = await getCollections();
+    const email = user.email;
+    const now = new Date();
+
+    const owned = await lessonsCollection.find({ creatorEmail: email }, { projection: { _id: 1 } }).toArray();
+    if (lessons === "delete") {
+        for (const lesson of owned) await purgeLesson(lesson._id);
+    } else {
+        await lessonsCollection.updateMany(
+            { creatorEmail: email },
+            { $set: { creatorEmail: null, creatorName: DELETED_USER_NAME, creatorPhotoURL: "", updatedAt: now } }
+        );
+    }
+
+    await commentsCollection.updateMany(
+        { userEmail: email },
+        { $set: { userEmail: null, userName: DELETED_USER_NAME, userPhoto: "", isAnonymized: true } }
+    );
+    const counts = await removeFavoritesAndLikes(email);
+    await removeFollows(email);
+
+    await reportsCollection.updateMany({ reporterEmail: email }, { $set: { reporterEmail: null } });
+    await moderationQueueCollection.updateMany({ authorEmail: email }, { $set: { authorEmail: null } });
+    await notificationsCollection.deleteMany({ recipientEmail: email });
+    await mailQueueCollection.deleteMany({ to: email, status: "pending" });
+
+    await usersCollection.deleteOne({ _id: user._id });
+    await deleteAuthUser(email);
+
+    return { lessons: owned.length, lessonsMode: lessons, ...counts };
+};
+
+// user.deletion = { requestedAt, scheduledFor, lessons }; the account keeps working until then
+const scheduleAccountDeletion = async (user, { lessons }) => {
+    const { usersCollection } = await getCollections();
+    const now = new Date();
+    const deletion = {
+        requestedAt: now,
+        scheduledFor: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS),
+        lessons,
+    };
+    await usersCollection.updateOne({ _id: user._id }, { $set: { deletion, updatedAt: now } });
+    return deletion;
+};
+
+const cancelAccountDeletion = async (user) => {
+    const { usersCollection } = await getCollections();
+    const result = await usersCollection.updateOne(
+        { _id: user._id, deletion: { $exists: true } },
+        { $unset: { deletion: "" }, $set: { updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// runs from the cron job: accounts whose grace period has ended
+const processAccountDeletions = async ({ limit = DELETION_BATCH } = {}) => {
+    const { usersCollection } = await getCollections();
+    const due = await usersCollection
+        .find({ "deletion.scheduledFor": { $lte: new Date() } })
+        .limit(limit)
+        .toArray();
+
+    for (const user of due) await deleteAccount(user, { lessons: user.deletion.lessons });
+    return { deleted: due.length };
+};
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    LESSON_DELETION_MODES,
+    buildUserExport,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    deleteAccount,
+    processAccountDeletions,
+};
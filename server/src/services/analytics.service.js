@@ -0,0 +1,22 @@
+// local midnight `days - 1` days ago, i.e. the first day of a `days`-long series ending today
+const seriesStart = (days) => {
+    const start = new Date();
+    start.setDate(start.getDate() - (days - 1));
+    start.setHours(0, 0, 0, 0);
+    return start;
+};
+
+// [{ _id: "YYYY-MM-DD", count }] -> one { date, count } per day, missing days as 0
+const fillSeries = (raw, start, days) => {
+    const map = new Map(raw.map((r) => [r._id, r.count]));
+    const out = [];
+    for (let i = 0; i < days; i++) {
+        const d = new Date(start);
+        d.setDate(d.getDate() + i);
+        const key = d.toISOString().slice(0, 10);
+        out.push({ date: key, count: map.get(key) || 0 });
+    }
+    return out;
+};
+
+module.exports = { seriesStart, fillSeries };
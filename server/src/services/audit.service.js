@@ -0,0 +1,64 @@
+const { getCollections, mustObjectId } = require("../config/mongo");
+
+// target types that have a document we can snapshot; others (e.g. "tag") are logged by id only
+const SNAPSHOT_COLLECTIONS = {
+    user: "usersCollection",
+    lesson: "lessonsCollection",
+    comment: "commentsCollection",
+    report: "reportsCollection",
+    promoCode: "promoCodesCollection",
+    contactMessage: "contactMessagesCollection",
+    moderationItem: "moderationQueueCollection",
+    wordList: "contentFilterListsCollection",
+};
+
+// snapshot types whose _id is a plain string rather than an ObjectId
+const STRING_ID_TYPES = ["wordList"];
+
+const loadSnapshot = async (target) => {
+    const collectionName = SNAPSHOT_COLLECTIONS[target?.type];
+    if (!collectionName || !target.id) return null;
+
+    const field = target.field || "_id";
+    const value = field === "_id" && !STRING_ID_TYPES.includes(target.type) ? mustObjectId(target.id) : target.id;
+    if (!value) return null;
+
+    const collections = await getCollections();
+    return collections[collectionName].findOne({ [field]: value });
+};
+
+// req.ip honours "trust proxy" (app.js): the address our own proxy saw, not whatever the client
+// put first in X-Forwarded-For
+const clientIp = (req) => req.ip || null;
+
+/*
+ * Appends one entry to the audit log. The log is append-only: nothing in the API updates or
+ * deletes entries. Never throws: a failed audit write must not fail the admin action.
+ */
+const recordAudit = async ({ actorEmail, action, target, before = null, after = null, req, statusCode }) => {
+    try {
+        const { auditLogCollection } = await getCollections();
+        await auditLogCollection.insertOne({
+            actorEmail,
+            action,
+            targetType: target?.type || null,
+            targetId: target?.id ? String(target.id) : null,
+            before,
+            after,
+            request: {
+                method: req.method,
+                path: req.originalUrl,
+                params: req.params,
+                body: req.body && Object.keys(req.body).length ? req.body : null,
+            },
+            statusCode,
+            ip: clientIp(req),
+            userAgent: req.headers["user-agent"] || null,
+            createdAt: new Date(),
+        });
+    } catch (err) {
+        console.error("Audit log error:", err);
+    }
+};
+
+module.exports = { SNAPSHOT_COLLECTIONS, loadSnapshot, clientIp, recordAudit };
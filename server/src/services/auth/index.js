@@ -0,0 +1,40 @@
+const { AUTH_PROVIDER } = require("../../config/auth");
+const { getFirebaseAdmin } = require("../../config/firebase");
+const { localProvider } = require("./local");
+
+/*
+ * A provider is { name, verifyToken(token), deleteUser(email) }. verifyToken resolves with the
+ * decoded identity ({ uid, email, ... }) or null for a bad token, and only throws when the
+ * provider itself fails (misconfiguration, outage).
+ */
+
+const firebaseProvider = {
+    name: "firebase",
+    verifyToken: async (token) => {
+        const auth = getFirebaseAdmin().auth();
+        try {
+            return await auth.verifyIdToken(token);
+        } catch (err) {
+            return null;
+        }
+    },
+    deleteUser: async (email) => {
+        const auth = getFirebaseAdmin().auth();
+        try {
+            const record = await auth.getUserByEmail(email);
+            await auth.deleteUser(record.uid);
+        } catch (err) {
+            if (err?.code !== "auth/user-not-found") throw err;
+        }
+    },
+};
+
+const PROVIDERS = { firebase: firebaseProvider, local: localProvider };
+
+const getAuthProvider = (name = AUTH_PROVIDER) => {
+    const provider = PROVIDERS[name];
+    if (!provider) throw new Error(`Unknown auth provider: ${name}`);
+    return provider;
+};
+
+module.exports = { getAuthProvider };
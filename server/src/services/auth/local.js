@@ -0,0 +1,207 @@
+const crypto = require("crypto");
+const { getCollections } = require("../../config/mongo");
+const { LOCAL_AUTH } = require("../../config/auth");
+const { ConflictError, UnauthorizedError } = require("../../errors");
+const {
+    signJwt,
+    verifyJwt,
+    randomToken,
+    hashToken,
+    hashPassword,
+    verifyPassword,
+    safeEqual,
+} = require("./tokens");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// checked when the email has no account, so a miss takes as long as a wrong password
+let dummyHash = null;
+const getDummyHash = () => dummyHash || (dummyHash = hashPassword(randomToken()));
+
+const jwtOptions = () => ({ secret: LOCAL_AUTH.jwtSecret, issuer: LOCAL_AUTH.issuer });
+
+const tokenPair = ({ session, secret }) => ({
+    tokenType: "Bearer",
+    accessToken: signJwt(
+        { sub: String(session.accountId), email: session.email, sid: session._id },
+        { ...jwtOptions(), expiresInSeconds: LOCAL_AUTH.accessTokenTtlSeconds }
+    ),
+    expiresIn: LOCAL_AUTH.accessTokenTtlSeconds,
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+});
+
+/*
+ * A session is one sign-in on one device. Access tokens carry its id, so revoking the session
+ * locks them out right away. Refresh tokens are "<sessionId>.<secret>" and rotate on every use;
+ * an already-rotated refresh token coming back means it leaked, and the session is revoked.
+ * meta: { userAgent, ip }
+ */
+const startSession = async (account, meta = {}) => {
+    const { authSessionsCollection } = await getCollections();
+    const now = new Date();
+    const secret = randomToken();
+
+    const session = {
+        _id: crypto.randomUUID(),
+        accountId: account._id,
+        email: account.email,
+        refreshTokenHash: hashToken(secret),
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + LOCAL_AUTH.refreshTokenTtlDays * DAY_MS),
+        revokedAt: null,
+        userAgent: meta.userAgent || null,
+        ip: meta.ip || null,
+    };
+    await authSessionsCollection.insertOne(session);
+
+    return tokenPair({ session, secret });
+};
+
+/*
+ * Sign-up never adopts an existing profile: emails aren't verified, so taking over a profile
+ * (and its role, plan and data) just by knowing its email would be an account takeover.
+ * An email that already has a profile, local or Firebase, is refused.
+ */
+const registerAccount = async ({ email, password, name = "" }, meta) => {
+    const { authAccountsCollection, usersCollection } = await getCollections();
+    const normalized = normalizeEmail(email);
+    const taken = () => new ConflictError("An account with this email already exists", "EMAIL_TAKEN");
+
+    const [account, profile] = await Promise.all([
+        authAccountsCollection.findOne({ email: normalized }, { projection: { _id: 1 } }),
+        // case-insensitive: profiles created through POST /users keep the email as Firebase sent it
+        usersCollection.findOne(
+            { email: normalized },
+            { projection: { _id: 1 }, collation: { locale: "en", strength: 2 } }
+        ),
+    ]);
+    if (account || profile) throw taken();
+
+    const now = new Date();
+    const created = { email: normalized, passwordHash: await hashPassword(password), createdAt: now, updatedAt: now };
+    created._id = (await authAccountsCollection.insertOne(created)).insertedId;
+
+    // same profile document a Firebase sign-up creates through POST /users; the unique index on
+    // users.email turns a concurrent sign-up for the same email into a duplicate key error
+    try {
+        await usersCollection.insertOne({
+            email: normalized,
+            name: name.trim(),
+            photoURL: "",
+            createdAt: now,
+            updatedAt: now,
+            role: "user",
+            isPremium: false,
+        });
+    } catch (err) {
+        await authAccountsCollection.deleteOne({ _id: created._id });
+        if (err.code === 11000) throw taken();
+        throw err;
+    }
+
+    return startSession(created, meta);
+};
+
+const login = async ({ email, password }, meta) => {
+    const { authAccountsCollection } = await getCollections();
+    const account = await authAccountsCollection.findOne({ email: normalizeEmail(email) });
+
+    const valid = await verifyPassword(password, account?.passwordHash || (await getDummyHash()));
+    if (!account || !valid) throw new UnauthorizedError("Invalid email or password");
+
+    await authAccountsCollection.updateOne({ _id: account._id }, { $set: { lastLoginAt: new Date() } });
+    return startSession(account, meta);
+};
+
+const revokeSession = async (sessionId, reason = "logout") => {
+    const { authSessionsCollection } = await getCollections();
+    const result = await authSessionsCollection.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+const revokeAllSessions = async (email, reason = "logout_all") => {
+    const { authSessionsCollection } = await getCollections();
+    const result = await authSessionsCollection.updateMany(
+        { email: normalizeEmail(email), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+};
+
+// the active session a refresh token belongs to, or null
+const findRefreshSession = async (refreshToken) => {
+    const { authSessionsCollection } = await getCollections();
+    const [sessionId, secret] = String(refreshToken || "").split(".");
+    if (!sessionId || !secret) return null;
+
+    const session = await authSessionsCollection.findOne({ _id: sessionId });
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+    if (!safeEqual(session.refreshTokenHash, hashToken(secret))) {
+        await revokeSession(session._id, "refresh_token_reuse");
+        return null;
+    }
+    return session;
+};
+
+const refreshSession = async (refreshToken) => {
+    const { authSessionsCollection } = await getCollections();
+    const session = await findRefreshSession(refreshToken);
+    if (!session) throw new UnauthorizedError("Invalid refresh token");
+
+    const secret = randomToken();
+    const rotated = await authSessionsCollection.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+        { $set: { refreshTokenHash: hashToken(secret), lastUsedAt: new Date() } },
+        { returnDocument: "after" }
+    );
+    // another request rotated it first
+    if (!rotated) throw new UnauthorizedError("Invalid refresh token");
+
+    return tokenPair({ session: rotated, secret });
+};
+
+// logout with only a refresh token (the access token may already be expired)
+const revokeRefreshToken = async (refreshToken) => {
+    const session = await findRefreshSession(refreshToken);
+    return session ? revokeSession(session._id) : false;
+};
+
+const localProvider = {
+    name: "local",
+    verifyToken: async (token) => {
+        const payload = verifyJwt(token, jwtOptions());
+        if (!payload?.sid || !payload.email) return null;
+
+        const { authSessionsCollection } = await getCollections();
+        const session = await authSessionsCollection.findOne(
+            { _id: payload.sid, revokedAt: null },
+            { projection: { _id: 1 } }
+        );
+        if (!session) return null;
+
+        return { uid: payload.sub, email: payload.email, sid: payload.sid, provider: "local" };
+    },
+    deleteUser: async (email) => {
+        const { authAccountsCollection, authSessionsCollection } = await getCollections();
+        await authSessionsCollection.deleteMany({ email: normalizeEmail(email) });
+        await authAccountsCollection.deleteOne({ email: normalizeEmail(email) });
+    },
+};
+
+module.exports = {
+    localProvider,
+    registerAccount,
+    login,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeRefreshToken,
+};
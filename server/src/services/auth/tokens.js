@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+const hmac = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// HS256 JWT; payload gets iat/exp (seconds) added
+const signJwt = (payload, { secret, expiresInSeconds, issuer }) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    const body = base64url(JSON.stringify({ ...payload, iss: issuer, iat: now, exp: now + expiresInSeconds }));
+    return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+};
+
+// the payload, or null for anything malformed, forged, expired or from another issuer
+const verifyJwt = (token, { secret, issuer }) => {
+    const parts = String(token).split(".");
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    if (!safeEqual(signature, hmac(`${header}.${body}`, secret))) return null;
+
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+        if (alg !== "HS256") return null;
+
+        const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+        if (payload.iss !== issuer || !(payload.exp > Math.floor(Date.now() / 1000))) return null;
+        return payload;
+    } catch {
+        return null;
+    }
+};
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url");
+
+// refresh tokens are stored hashed, like passwords, so a database leak doesn't hand out sessions
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// "scrypt$<salt>$<hash>"
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString("base64url");
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString("base64url")}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, expected] = String(stored || "").split("$");
+    if (scheme !== "scrypt" || !salt || !expected) return false;
+    const hash = await scrypt(password, salt, 64);
+    return safeEqual(hash.toString("base64url"), expected);
+};
+
+module.exports = { signJwt, verifyJwt, randomToken, hashToken, hashPassword, verifyPassword, safeEqual };
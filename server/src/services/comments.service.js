@@ -0,0 +1,38 @@
+const { getCollections } = require("../config/mongo");
+const { notify } = require("./notifications.service");
+const { recordLessonEvent } = require("./events.service");
+
+// a comment becomes visible: counters, the engagement event and the author's notification
+const publishComment = async ({ comment, lesson }) => {
+    const { commentsCollection, lessonsCollection } = await getCollections();
+
+    await lessonsCollection.updateOne({ _id: lesson._id }, { $inc: { commentsCount: 1 } });
+    if (comment.parentId) await commentsCollection.updateOne({ _id: comment.parentId }, { $inc: { replyCount: 1 } });
+
+    await recordLessonEvent({ type: "comment", lesson, actorEmail: comment.userEmail });
+    await notify({
+        type: "comment",
+        recipientEmail: lesson.creatorEmail,
+        actorEmail: comment.userEmail,
+        lesson,
+        data: { commentId: comment._id },
+    });
+};
+
+// a visible comment goes back into moderation: undoes publishComment's counters
+const unpublishComment = async (comment) => {
+    const { commentsCollection, lessonsCollection } = await getCollections();
+
+    await lessonsCollection.updateOne(
+        { _id: comment.lessonId, commentsCount: { $gt: 0 } },
+        { $inc: { commentsCount: -1 } }
+    );
+    if (comment.parentId) {
+        await commentsCollection.updateOne(
+            { _id: comment.parentId, replyCount: { $gt: 0 } },
+            { $inc: { replyCount: -1 } }
+        );
+    }
+};
+
+module.exports = { publishComment, unpublishComment };
@@ -0,0 +1,42 @@
+const { getCollections } = require("../config/mongo");
+
+// new → in_progress → closed; a closed message can be reopened. "held" and "spam" belong to the
+// content filter's moderation queue and never show up in the inbox.
+const CONTACT_STATUSES = ["new", "in_progress", "closed"];
+const CONTACT_TRANSITIONS = {
+    new: ["in_progress", "closed"],
+    in_progress: ["closed"],
+    closed: ["in_progress"],
+};
+
+const MAX_REPLY_LENGTH = 5000;
+
+const inboxFilter = () => ({ status: { $in: CONTACT_STATUSES } });
+
+// nobody on the team has opened it yet
+const unreadFilter = () => ({ ...inboxFilter(), readAt: null });
+
+const canTransition = (from, to) => (CONTACT_TRANSITIONS[from || "new"] || []).includes(to);
+
+// the registered account that sent the message, if the email belongs to one
+const findSender = async (email) => {
+    if (!email) return null;
+    const { usersCollection } = await getCollections();
+    return usersCollection.findOne({ email }, { projection: { _id: 1, email: 1, name: 1, photoURL: 1, role: 1 } });
+};
+
+const unreadContactCount = async () => {
+    const { contactMessagesCollection } = await getCollections();
+    return contactMessagesCollection.countDocuments(unreadFilter());
+};
+
+module.exports = {
+    CONTACT_STATUSES,
+    CONTACT_TRANSITIONS,
+    MAX_REPLY_LENGTH,
+    inboxFilter,
+    unreadFilter,
+    canTransition,
+    findSender,
+    unreadContactCount,
+};
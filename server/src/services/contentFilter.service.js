@@ -0,0 +1,181 @@
+const crypto = require("crypto");
+const { getCollections } = require("../config/mongo");
+const { CONTENT_FILTER, WORD_LISTS } = require("../config/contentFilter");
+
+const ACTIONS = ["allow", "hold", "reject"];
+const MAX_LIST_WORDS = 1000;
+const MAX_WORD_LENGTH = 100;
+
+// where earlier submissions of each kind live, for duplicate detection
+const SOURCES = {
+    comment: { collection: "commentsCollection", authorField: "userEmail" },
+    contact: { collection: "contactMessagesCollection", authorField: "email" },
+    lesson: { collection: "lessonsCollection", authorField: "creatorEmail" },
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const normalizeText = (text) => String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+const contentHashOf = (text) => crypto.createHash("sha256").update(normalizeText(text)).digest("hex");
+
+// "  Foo ", "foo", "" → ["foo"]; lowercased, deduplicated, sorted
+const normalizeWords = (words) =>
+    [...new Set(words.map((w) => normalizeText(w).slice(0, MAX_WORD_LENGTH)).filter(Boolean))].sort();
+
+const listsCache = globalThis.__contentFilterLists || (globalThis.__contentFilterLists = { lists: null, loadedAt: 0 });
+
+// { banned: [...], profanity: [...], ... }; saved lists replace the defaults
+const getWordLists = async ({ fresh = false } = {}) => {
+    if (!fresh && listsCache.lists && Date.now() - listsCache.loadedAt < CONTENT_FILTER.listsCacheSeconds * 1000) {
+        return listsCache.lists;
+    }
+
+    const { contentFilterListsCollection } = await getCollections();
+    const saved = await contentFilterListsCollection.find({ _id: { $in: Object.keys(WORD_LISTS) } }).toArray();
+
+    const lists = {};
+    for (const [name, list] of Object.entries(WORD_LISTS)) {
+        lists[name] = saved.find((d) => d._id === name)?.words ?? list.defaults;
+    }
+
+    listsCache.lists = lists;
+    listsCache.loadedAt = Date.now();
+    return lists;
+};
+
+// replaces a list; returns the saved words
+const saveWordList = async (name, words, by) => {
+    const { contentFilterListsCollection } = await getCollections();
+    const normalized = normalizeWords(words).slice(0, MAX_LIST_WORDS);
+
+    await contentFilterListsCollection.updateOne(
+        { _id: name },
+        { $set: { words: normalized, updatedBy: by, updatedAt: new Date() } },
+        { upsert: true }
+    );
+
+    listsCache.lists = null;
+    return normalized;
+};
+
+// whole words for single words, plain substring for phrases and domains
+const findMatches = (text, words) =>
+    words.filter((w) =>
+        /^[\p{L}\p{N}]+$/u.test(w)
+            ? new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(w)}(?![\\p{L}\\p{N}])`, "u").test(text)
+            : text.includes(w)
+    );
+
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>"')]+/gi;
+
+const hostOf = (link) => {
+    try {
+        return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.replace(/^www\./, "");
+    } catch {
+        return null;
+    }
+};
+
+/*
+ * Heuristics, each adds to the score: links, shouting, long runs of one character, the same
+ * few words over and over, email addresses, and phrases from the spamPhrases list.
+ */
+const scoreSpam = (text, links, spamPhrases) => {
+    const signals = [];
+    const add = (points, signal) => signals.push({ signal, points });
+
+    // the link count itself is the links rule's job; here a few links only add suspicion
+    if (links.length) add(Math.min(links.length, 3), "links");
+
+    const letters = text.replace(/[^\p{L}]/gu, "");
+    const upper = letters.replace(/[^\p{Lu}]/gu, "");
+    if (letters.length >= 20 && upper.length / letters.length > 0.7) add(2, "shouting");
+
+    if (/(.)\1{7,}/u.test(text)) add(1, "repeated characters");
+
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length >= 10 && new Set(words).size / words.length < 0.3) add(2, "repetitive");
+
+    if (/[\w.+-]+@[\w-]+\.[\w.-]+/.test(text)) add(1, "email address");
+
+    for (const phrase of findMatches(normalizeText(text), spamPhrases)) add(2, `phrase "${phrase}"`);
+
+    return { score: signals.reduce((sum, s) => sum + s.points, 0), signals };
+};
+
+const isDuplicate = async ({ kind, authorEmail, contentHash, excludeId }) => {
+    const source = SOURCES[kind];
+    if (!source || !authorEmail || !CONTENT_FILTER.duplicateWindowMinutes) return false;
+
+    const collections = await getCollections();
+    const since = new Date(Date.now() - CONTENT_FILTER.duplicateWindowMinutes * 60 * 1000);
+    const filter = { [source.authorField]: authorEmail, contentHash, createdAt: { $gte: since } };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    return !!(await collections[source.collection].findOne(filter, { projection: { _id: 1 } }));
+};
+
+/*
+ * Runs every rule over a submission. kind is comment | contact | lesson; excludeId skips the
+ * document being edited in the duplicate check. Returns { action, results, score, contentHash }
+ * where results lists every rule that didn't allow, as { rule, action, reason }.
+ */
+const filterContent = async ({ kind, text, authorEmail, excludeId = null }) => {
+    const lists = await getWordLists();
+    const normalized = normalizeText(text);
+    const contentHash = contentHashOf(text);
+    const results = [];
+
+    const banned = findMatches(normalized, lists.banned);
+    if (banned.length) results.push({ rule: "banned_words", action: "reject", reason: "Contains banned words" });
+
+    const profanity = findMatches(normalized, lists.profanity);
+    if (profanity.length) results.push({ rule: "profanity", action: "hold", reason: "Contains profanity" });
+
+    const links = text.match(URL_RE) || [];
+    const hosts = links.map(hostOf).filter(Boolean);
+    const blocked = hosts.filter((h) => lists.blockedDomains.some((d) => h === d || h.endsWith(`.${d}`)));
+    if (blocked.length) {
+        results.push({ rule: "blocked_domain", action: "reject", reason: `Links to a blocked site (${blocked[0]})` });
+    }
+
+    const maxLinks = CONTENT_FILTER.maxLinks[kind] ?? 0;
+    if (links.length > maxLinks) {
+        results.push({ rule: "links", action: "hold", reason: `More than ${maxLinks} links` });
+    }
+
+    if (await isDuplicate({ kind, authorEmail, contentHash, excludeId })) {
+        results.push({ rule: "duplicate", action: "reject", reason: "You already submitted this" });
+    }
+
+    const { score, signals } = scoreSpam(text, links, lists.spamPhrases);
+    const { spamRejectScore, spamHoldScore } = CONTENT_FILTER;
+    const spamAction =
+        spamRejectScore && score >= spamRejectScore ? "reject" : spamHoldScore && score >= spamHoldScore ? "hold" : null;
+    if (spamAction) {
+        results.push({
+            rule: "spam",
+            action: spamAction,
+            reason: `Looks like spam (${signals.map((s) => s.signal).join(", ")})`,
+        });
+    }
+
+    const action = results.reduce(
+        (worst, r) => (ACTIONS.indexOf(r.action) > ACTIONS.indexOf(worst) ? r.action : worst),
+        "allow"
+    );
+    return { action, results, score, contentHash };
+};
+
+module.exports = {
+    ACTIONS,
+    MAX_LIST_WORDS,
+    MAX_WORD_LENGTH,
+    contentHashOf,
+    normalizeWords,
+    getWordLists,
+    saveWordList,
+    scoreSpam,
+    filterContent,
+};
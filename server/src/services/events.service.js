@@ -0,0 +1,75 @@
+const { getCollections } = require("../config/mongo");
+
+const LESSON_EVENT_TYPES = ["like", "save", "comment", "view"];
+
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/*
+ * Engagement log used for trending and author analytics. Views are de-duplicated per
+ * viewer (signed-in email, or the client's session id for anonymous readers) per day.
+ * Never throws: analytics must not break the action being tracked.
+ */
+const recordLessonEvent = async ({ type, lesson, actorEmail, sessionId }) => {
+    try {
+        if (!LESSON_EVENT_TYPES.includes(type) || !lesson?._id) return false;
+        const { lessonEventsCollection, lessonsCollection } = await getCollections();
+
+        const now = new Date();
+        const doc = {
+            lessonId: lesson._id,
+            creatorEmail: lesson.creatorEmail,
+            type,
+            actorEmail: actorEmail || null,
+            day: dayKey(now),
+            createdAt: now,
+        };
+
+        if (type !== "view") {
+            await lessonEventsCollection.insertOne(doc);
+            return true;
+        }
+
+        if (actorEmail && actorEmail === lesson.creatorEmail) return false;
+
+        const session = typeof sessionId === "string" ? sessionId.trim().slice(0, 64) : "";
+        if (!actorEmail && !session) return false;
+        if (!actorEmail) doc.sessionId = session;
+
+        const viewer = actorEmail ? { actorEmail } : { actorEmail: null, sessionId: session };
+        let result;
+        try {
+            result = await lessonEventsCollection.updateOne(
+                { lessonId: doc.lessonId, type: "view", day: doc.day, ...viewer },
+                { $setOnInsert: doc },
+                { upsert: true }
+            );
+        } catch (err) {
+            // duplicate key: a concurrent request recorded this view first
+            if (err.code === 11000) return false;
+            throw err;
+        }
+        if (result.upsertedCount === 0) return false;
+
+        await lessonsCollection.updateOne({ _id: lesson._id }, { $inc: { viewsCount: 1 } });
+        return true;
+    } catch (err) {
+        console.error("Lesson event error:", err);
+        return false;
+    }
+};
+
+// unlike / unsave take back the most recent matching event
+const removeLessonEvent = async ({ type, lessonId, actorEmail }) => {
+    try {
+        const { lessonEventsCollection } = await getCollections();
+        const last = await lessonEventsCollection.findOne(
+            { lessonId, type, actorEmail },
+            { sort: { createdAt: -1 }, projection: { _id: 1 } }
+        );
+        if (last) await lessonEventsCollection.deleteOne({ _id: last._id });
+    } catch (err) {
+        console.error("Lesson event error:", err);
+    }
+};
+
+module.exports = { LESSON_EVENT_TYPES, dayKey, recordLessonEvent, removeLessonEvent };
@@ -0,0 +1,30 @@
+const crypto = require("crypto");
+const { getCollections } = require("../config/mongo");
+
+const generateGiftCode = () => `GIFT-${crypto.randomBytes(5).toString("hex").toUpperCase()}`;
+
+// one gift per paid checkout session; safe to call again for the same session
+const createGiftFromEntry = async (entry) => {
+    const { giftsCollection } = await getCollections();
+
+    await giftsCollection.updateOne(
+        { sessionId: entry.sessionId },
+        {
+            $setOnInsert: {
+                sessionId: entry.sessionId,
+                code: generateGiftCode(),
+                buyerEmail: entry.email,
+                recipientEmail: entry.recipientEmail,
+                plan: entry.plan,
+                paymentIntent: entry.paymentIntent,
+                status: "pending",
+                createdAt: new Date(),
+            },
+        },
+        { upsert: true }
+    );
+
+    return giftsCollection.findOne({ sessionId: entry.sessionId });
+};
+
+module.exports = { createGiftFromEntry };
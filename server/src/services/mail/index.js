@@ -0,0 +1,140 @@
+const { getCollections } = require("../../config/mongo");
+const { createTransport } = require("./transports");
+const { renderTemplate } = require("./templates");
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_MS = 60 * 1000;
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+const transportCache = globalThis.__mailTransport || (globalThis.__mailTransport = { transport: null });
+
+const getTransport = () => {
+    if (!transportCache.transport) transportCache.transport = createTransport();
+    return transportCache.transport;
+};
+
+// tests swap in createTransport("memory")
+const setTransport = (transport) => {
+    transportCache.transport = transport;
+};
+
+// 1m, 2m, 4m, 8m ...
+const nextRetryAt = (attempts) => new Date(Date.now() + BASE_RETRY_MS * 2 ** Math.max(0, attempts - 1));
+
+const attemptDelivery = async (item) => {
+    const { mailQueueCollection } = await getCollections();
+
+    try {
+        const rendered = renderTemplate(item.template, item.data);
+        const { messageId } = await getTransport().send({ to: item.to, ...rendered });
+
+        await mailQueueCollection.updateOne(
+            { _id: item._id },
+            {
+                $set: { status: "sent", sentAt: new Date(), messageId, transport: getTransport().name },
+                $inc: { attempts: 1 },
+            }
+        );
+        return true;
+    } catch (err) {
+        const attempts = (item.attempts || 0) + 1;
+        await mailQueueCollection.updateOne(
+            { _id: item._id },
+            {
+                $set: {
+                    status: attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+                    nextAttemptAt: nextRetryAt(attempts),
+                    lastError: err.message,
+                },
+                $inc: { attempts: 1 },
+            }
+        );
+        console.error("Mail delivery error:", err.message);
+        return false;
+    }
+};
+
+/*
+ * Takes a pending item for this caller alone, so the immediate send in enqueueMail and a
+ * concurrent processMailQueue run never both deliver it. Resolves with the claimed item or null.
+ */
+const claimItem = async (id) => {
+    const { mailQueueCollection } = await getCollections();
+    return mailQueueCollection.findOneAndUpdate(
+        { _id: id, status: "pending" },
+        { $set: { status: "sending", claimedAt: new Date() } },
+        { returnDocument: "after" }
+    );
+};
+
+/*
+ * Stores the message in the queue and tries to send it right away. Never throws:
+ * a failed send stays queued and is retried by processMailQueue.
+ */
+const enqueueMail = async ({ to, template, data, dedupeKey }) => {
+    try {
+        if (!to) return null;
+        const { mailQueueCollection } = await getCollections();
+
+        const doc = {
+            to,
+            template,
+            data,
+            status: "pending",
+            attempts: 0,
+            nextAttemptAt: new Date(),
+            createdAt: new Date(),
+        };
+
+        // dedupeKey makes enqueueing idempotent (webhook re-deliveries, digest re-runs)
+        if (dedupeKey) {
+            const result = await mailQueueCollection.updateOne(
+                { dedupeKey },
+                { $setOnInsert: { ...doc, dedupeKey } },
+                { upsert: true }
+            );
+            if (result.upsertedCount === 0) return null;
+            doc._id = result.upsertedId;
+        } else {
+            doc._id = (await mailQueueCollection.insertOne(doc)).insertedId;
+        }
+
+        const claimed = await claimItem(doc._id);
+        if (claimed) await attemptDelivery(claimed);
+        return doc._id;
+    } catch (err) {
+        console.error("Mail enqueue error:", err);
+        return null;
+    }
+};
+
+// sends whatever is due; claims each item first so parallel runs don't double-send
+const processMailQueue = async ({ limit = 50 } = {}) => {
+    const { mailQueueCollection } = await getCollections();
+
+    // an instance that died mid-send leaves items in "sending"
+    await mailQueueCollection.updateMany(
+        { status: "sending", claimedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+        { $set: { status: "pending" } }
+    );
+
+    const due = await mailQueueCollection
+        .find({ status: "pending", nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit)
+        .toArray();
+
+    let sent = 0;
+    let failed = 0;
+    for (const item of due) {
+        const claimed = await claimItem(item._id);
+        if (!claimed) continue;
+
+        if (await attemptDelivery(claimed)) sent++;
+        else failed++;
+    }
+
+    return { processed: sent + failed, sent, failed };
+};
+
+module.exports = { getTransport, setTransport, enqueueMail, processMailQueue };
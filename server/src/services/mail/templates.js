@@ -0,0 +1,96 @@
+const escapeHtml = (s) =>
+    String(s ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+const site = () => process.env.SITE_DOMAIN || "";
+
+const layout = (title, bodyHtml) => `<!doctype html>
+<html><body style="font-family:Arial,sans-serif;color:#222;max-width:560px;margin:auto">
+<h2>${escapeHtml(title)}</h2>
+${bodyHtml}
+<p style="color:#888;font-size:12px">Digital Life Lessons</p>
+</body></html>`;
+
+const formatAmount = (amount, currency) =>
+    amount == null ? "" : `${(amount / 100).toFixed(2)} ${String(currency || "").toUpperCase()}`;
+
+// each template: (data) => { subject, text, html }
+const TEMPLATES = {
+    purchaseReceipt: ({ name, planName, amount, currency, transactionId, date }) => {
+        const paid = formatAmount(amount, currency);
+        const lines = [
+            `Hi ${name || "there"},`,
+            `Thanks for upgrading to ${planName}.`,
+            paid && `Amount paid: ${paid}`,
+            transactionId && `Transaction: ${transactionId}`,
+            `Date: ${new Date(date || Date.now()).toDateString()}`,
+        ].filter(Boolean);
+        return {
+            subject: "Your Digital Life Lessons Premium receipt",
+            text: lines.join("\n"),
+            html: layout("Payment receipt", lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("")),
+        };
+    },
+
+    giftReceived: ({ buyerName, planName, code }) => {
+        const lines = [
+            `${buyerName || "Someone"} gifted you ${planName}.`,
+            `Your gift code: ${code}`,
+            `Sign in with this email and redeem it at ${site()}/redeem-gift`,
+        ];
+        return {
+            subject: "You've been gifted Digital Life Lessons Premium",
+            text: lines.join("\n"),
+            html: layout("A gift for you", lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("")),
+        };
+    },
+
+    // goes to whatever address the public form was given, so it repeats nothing the sender typed
+    contactAcknowledgement: ({ name }) => {
+        const lines = [`Hi ${name || "there"},`, "We received your message and will get back to you soon."];
+        return {
+            subject: "We received your message",
+            text: lines.join("\n"),
+            html: layout("Thanks for reaching out", lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("")),
+        };
+    },
+
+    contactReply: ({ name, subject, message }) => {
+        const lines = [`Hi ${name || "there"},`, ...String(message || "").split("\n")];
+        return {
+            subject: `Re: ${subject}`,
+            text: lines.join("\n"),
+            html: layout(`Re: ${subject}`, lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("")),
+        };
+    },
+
+    weeklyDigest: ({ name, lessons = [] }) => {
+        const text = [
+            `Hi ${name || "there"}, here are new lessons in your favorite categories this week:`,
+            ...lessons.map((l) => `- ${l.title} (${l.category}) ${site()}/lessons/${l._id}`),
+        ].join("\n");
+        const items = lessons
+            .map(
+                (l) =>
+                    `<li><a href="${escapeHtml(`${site()}/lessons/${l._id}`)}">${escapeHtml(l.title)}</a>` +
+                    ` <small>${escapeHtml(l.category)}</small><br>${escapeHtml(l.shortDescription)}</li>`
+            )
+            .join("");
+        return {
+            subject: `${lessons.length} new lesson${lessons.length === 1 ? "" : "s"} for you this week`,
+            text,
+            html: layout("Your weekly digest", `<ul>${items}</ul>`),
+        };
+    },
+};
+
+const renderTemplate = (name, data) => {
+    const template = TEMPLATES[name];
+    if (!template) throw new Error(`Unknown mail template: ${name}`);
+    return template(data || {});
+};
+
+module.exports = { TEMPLATES, renderTemplate };
@@ -0,0 +1,79 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/*
+ * A transport is { name, send(message) } where message is { to, subject, text, html }.
+ * send resolves with { messageId } or throws; the queue handles retries.
+ */
+
+const createSmtpTransport = () => {
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+
+    return {
+        name: "smtp",
+        send: async (message) => {
+            const info = await transporter.sendMail({ from: process.env.MAIL_FROM, ...message });
+            return { messageId: info.messageId };
+        },
+    };
+};
+
+// local development: every message becomes a JSON file you can open
+const createFileTransport = () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), "tmp", "mail");
+
+    return {
+        name: "file",
+        send: async (message) => {
+            await fs.mkdir(dir, { recursive: true });
+            const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const file = path.join(dir, `${messageId}.json`);
+            await fs.writeFile(file, JSON.stringify({ from: process.env.MAIL_FROM, ...message }, null, 2));
+            return { messageId };
+        },
+    };
+};
+
+// tests: messages are kept on transport.outbox
+const createMemoryTransport = () => {
+    const outbox = [];
+    return {
+        name: "memory",
+        outbox,
+        send: async (message) => {
+            const messageId = `mem-${outbox.length + 1}`;
+            outbox.push({ ...message, messageId });
+            return { messageId };
+        },
+    };
+};
+
+const FACTORIES = { smtp: createSmtpTransport, file: createFileTransport, memory: createMemoryTransport };
+
+/*
+ * MAIL_TRANSPORT=smtp|file|memory, defaults to smtp when SMTP_HOST is set. The file transport is
+ * for development only (serverless filesystems are read-only), so in production without SMTP this
+ * throws when the first message is sent: the send fails and stays queued, the API keeps running.
+ */
+const defaultTransport = () => {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    if (process.env.SMTP_HOST) return "smtp";
+    if (process.env.NODE_ENV === "production") {
+        throw new Error("SMTP_HOST (or MAIL_TRANSPORT) is required in production");
+    }
+    return "file";
+};
+
+const createTransport = (name = defaultTransport()) => {
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+    return factory();
+};
+
+module.exports = { createTransport };
@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const { getCollections } = require("../config/mongo");
+const { MIGRATIONS } = require("../config/migrations");
+const migrations = require("../migrations");
+
+const LOCK_ID = "migrations";
+
+// catches a mis-numbered file before anything runs
+const assertOrdered = () => {
+    migrations.forEach((m, i) => {
+        if (!Number.isInteger(m.version) || typeof m.up !== "function") {
+            throw new Error(`Migration #${i + 1} needs an integer version and an up() function`);
+        }
+        if (i > 0 && m.version <= migrations[i - 1].version) {
+            throw new Error(`Migration ${m.version} (${m.name}) is out of order`);
+        }
+    });
+};
+
+const appliedVersions = async () => {
+    const { migrationsCollection } = await getCollections();
+    const applied = await migrationsCollection.find().sort({ _id: 1 }).toArray();
+    return new Map(applied.map((m) => [m._id, m]));
+};
+
+// every known migration with its state, plus applied versions this code doesn't know about
+const migrationStatus = async () => {
+    assertOrdered();
+    const applied = await appliedVersions();
+
+    const rows = migrations.map((m) => {
+        const record = applied.get(m.version);
+        return {
+            version: m.version,
+            name: m.name,
+            state: record ? "applied" : "pending",
+            appliedAt: record?.appliedAt || null,
+        };
+    });
+    const unknown = [...applied.values()]
+        .filter((r) => !migrations.some((m) => m.version === r._id))
+        .map((r) => ({ version: r._id, name: r.name, state: "unknown", appliedAt: r.appliedAt }));
+
+    return { migrations: rows, unknown, pending: rows.filter((r) => r.state === "pending").length };
+};
+
+/*
+ * One run at a time across every instance and script: the lock expires on its own after
+ * lockSeconds in case its holder died. Resolves with the owner id, or null when someone else
+ * holds it.
+ */
+const acquireLock = async () => {
+    const { jobLocksCollection } = await getCollections();
+    const now = new Date();
+    const owner = crypto.randomUUID();
+
+    try {
+        await jobLocksCollection.findOneAndUpdate(
+            { _id: LOCK_ID, lockedUntil: { $lt: now } },
+            { $set: { owner, lockedAt: now, lockedUntil: new Date(now.getTime() + MIGRATIONS.lockSeconds * 1000) } },
+            { upsert: true }
+        );
+        return owner;
+    } catch (err) {
+        // duplicate key: the lock exists and has not expired
+        if (err.code === 11000) return null;
+        throw err;
+    }
+};
+
+const releaseLock = async (owner) => {
+    const { jobLocksCollection } = await getCollections();
+    await jobLocksCollection.updateOne({ _id: LOCK_ID, owner }, { $set: { lockedUntil: new Date(0) } });
+};
+
+/*
+ * Applies pending migrations in version order and records each one as it finishes; the first
+ * failure stops the run, so later migrations can rely on earlier ones. A migration that fails
+ * halfway is retried in full next time, which is why every up() has to be safe to re-run.
+ * Resolves with { locked: true } when another run is in progress.
+ */
+const runMigrations = async ({ log = () => {} } = {}) => {
+    assertOrdered();
+    const owner = await acquireLock();
+    if (!owner) return { locked: true, applied: [] };
+
+    const applied = [];
+    try {
+        const collections = await getCollections();
+        // read after taking the lock: a run that just finished may have applied some already
+        const done = await appliedVersions();
+
+        for (const migration of migrations.filter((m) => !done.has(m.version))) {
+            const label = `${migration.version} ${migration.name}`;
+            const startedAt = Date.now();
+            log(`applying ${label}`);
+
+            await migration.up({ collections, log: (msg) => log(`  ${msg}`) });
+
+            const durationMs = Date.now() - startedAt;
+            await collections.migrationsCollection.insertOne({
+                _id: migration.version,
+                name: migration.name,
+                appliedAt: new Date(),
+                durationMs,
+            });
+            applied.push({ version: migration.version, name: migration.name, durationMs });
+            log(`applied ${label} (${durationMs}ms)`);
+        }
+    } finally {
+        await releaseLock(owner);
+    }
+
+    return { locked: false, applied };
+};
+
+const bootCache =
+    globalThis.__migrationsBoot || (globalThis.__migrationsBoot = { promise: null, done: false, failedAt: 0 });
+
+/*
+ * Runs pending migrations once per instance, on the first request it serves. Never rejects:
+ * a broken migration is logged and retried after bootRetryMinutes instead of taking the API
+ * down, and when another instance holds the lock this one just carries on.
+ */
+const migrateOnBoot = async () => {
+    if (bootCache.done) return;
+    if (bootCache.promise) return bootCache.promise;
+    if (Date.now() - bootCache.failedAt < MIGRATIONS.bootRetryMinutes * 60 * 1000) return;
+
+    bootCache.promise = (async () => {
+        try {
+            const result = await runMigrations({ log: (msg) => console.log(`[migrations] ${msg}`) });
+            if (result.locked) console.log("[migrations] another run holds the lock, skipping");
+            bootCache.done = true;
+        } catch (err) {
+            bootCache.failedAt = Date.now();
+            console.error("[migrations] failed:", err);
+        } finally {
+            bootCache.promise = null;
+        }
+    })();
+
+    return bootCache.promise;
+};
+
+module.exports = { migrationStatus, runMigrations, migrateOnBoot };
@@ -0,0 +1,146 @@
+const { getCollections } = require("../config/mongo");
+const { MODERATION } = require("../config/moderation");
+const { notify } = require("./notifications.service");
+
+// pending → under_review → actioned | dismissed (old "resolved" reports count as closed)
+const REPORT_STATUSES = ["pending", "under_review", "actioned", "dismissed"];
+const OPEN_REPORT_STATUSES = ["pending", "under_review"];
+
+// decision action → final report status
+const REPORT_ACTIONS = { hide: "actioned", warn: "actioned", dismiss: "dismissed" };
+
+const MAX_NOTE_LENGTH = 1000;
+
+const openReportsFilter = (lessonId) => ({ lessonId, status: { $in: OPEN_REPORT_STATUSES } });
+
+const historyEntry = ({ status, action = null, note = "", by = null }) => ({
+    status,
+    action,
+    note,
+    by,
+    at: new Date(),
+});
+
+// moderator note from a request body; returns { note } or { error }
+const readNote = (value) => {
+    if (value === undefined || value === null) return { note: "" };
+    if (typeof value !== "string") return { error: "note must be a string" };
+    if (value.trim().length > MAX_NOTE_LENGTH) return { error: `note cannot exceed ${MAX_NOTE_LENGTH} characters` };
+    return { note: value.trim() };
+};
+
+// { action, note } from a decision body; returns that or { error }
+const parseDecision = (body = {}) => {
+    const { action } = body;
+    if (!Object.hasOwn(REPORT_ACTIONS, action)) {
+        return { error: `action must be one of: ${Object.keys(REPORT_ACTIONS).join(", ")}` };
+    }
+    const { note, error } = readNote(body.note);
+    if (error) return { error };
+    return { action, note };
+};
+
+const hideLesson = async (lessonId, reason, by = null) => {
+    const { lessonsCollection } = await getCollections();
+    const now = new Date();
+    return lessonsCollection.updateOne(
+        { _id: lessonId },
+        { $set: { isHidden: true, hiddenReason: reason, hiddenBy: by, hiddenAt: now, updatedAt: now } }
+    );
+};
+
+const unhideLesson = async (lessonId) => {
+    const { lessonsCollection } = await getCollections();
+    return lessonsCollection.updateOne(
+        { _id: lessonId },
+        { $set: { isHidden: false, updatedAt: new Date() }, $unset: { hiddenReason: "", hiddenBy: "", hiddenAt: "" } }
+    );
+};
+
+// hides the lesson once enough distinct users have open reports on it; stays hidden until reviewed
+const applyAutoHide = async (lessonId) => {
+    if (!MODERATION.autoHideThreshold) return false;
+
+    const { reportsCollection, lessonsCollection } = await getCollections();
+    const reporters = await reportsCollection.distinct("reporterEmail", openReportsFilter(lessonId));
+    if (reporters.length < MODERATION.autoHideThreshold) return false;
+
+    const now = new Date();
+    const result = await lessonsCollection.updateOne(
+        { _id: lessonId, isHidden: { $ne: true } },
+        { $set: { isHidden: true, hiddenReason: "auto_reports", hiddenBy: null, hiddenAt: now, updatedAt: now } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/*
+ * Closes open reports with one moderator decision and applies it to the lesson:
+ * hide takes the lesson out of every reader view, warn notifies the author and counts a
+ * warning on their account, dismiss just closes the reports (they stay as history).
+ * An auto-hidden lesson comes back once no open reports are left and it wasn't hidden
+ * by the decision. Every reporter hears about the outcome.
+ */
+const decideReports = async ({ reports, lesson, action, note = "", moderatorEmail }) => {
+    const { reportsCollection, usersCollection } = await getCollections();
+    const status = REPORT_ACTIONS[action];
+    const now = new Date();
+
+    const open = reports.filter((r) => OPEN_REPORT_STATUSES.includes(r.status || "pending"));
+    if (!open.length) return { decided: 0 };
+
+    await reportsCollection.updateMany(
+        { _id: { $in: open.map((r) => r._id) }, status: { $in: OPEN_REPORT_STATUSES } },
+        {
+            $set: { status, action, moderatorNote: note, decidedBy: moderatorEmail, decidedAt: now, updatedAt: now },
+            $push: { history: historyEntry({ status, action, note, by: moderatorEmail }) },
+        }
+    );
+
+    if (lesson) {
+        if (action === "hide") {
+            await hideLesson(lesson._id, "moderator", moderatorEmail);
+        } else if (action === "warn") {
+            await usersCollection.updateOne(
+                { email: lesson.creatorEmail },
+                { $inc: { moderationWarnings: 1 }, $set: { lastWarnedAt: now } }
+            );
+            await notify({
+                type: "moderation_warning",
+                recipientEmail: lesson.creatorEmail,
+                lesson,
+                data: { note },
+            });
+        }
+
+        if (action !== "hide" && lesson.isHidden && lesson.hiddenReason === "auto_reports") {
+            const stillOpen = await reportsCollection.countDocuments(openReportsFilter(lesson._id));
+            if (stillOpen === 0) await unhideLesson(lesson._id);
+        }
+    }
+
+    for (const report of open) {
+        await notify({
+            type: "report_resolved",
+            recipientEmail: report.reporterEmail,
+            lesson: lesson || { _id: report.lessonId },
+            data: { reportId: report._id, outcome: status },
+        });
+    }
+
+    return { decided: open.length, status };
+};
+
+module.exports = {
+    REPORT_STATUSES,
+    OPEN_REPORT_STATUSES,
+    REPORT_ACTIONS,
+    MAX_NOTE_LENGTH,
+    openReportsFilter,
+    historyEntry,
+    readNote,
+    parseDecision,
+    hideLesson,
+    unhideLesson,
+    applyAutoHide,
+    decideReports,
+};
@@ -0,0 +1,125 @@
+const { getCollections } = require("../config/mongo");
+const { AppError } = require("../errors");
+const { enqueueMail } = require("./mail");
+const { hideLesson, unhideLesson } = require("./moderation.service");
+const { publishComment } = require("./comments.service");
+const { findSender } = require("./contact.service");
+
+const QUEUE_STATUSES = ["pending", "approved", "rejected"];
+const QUEUE_DECISIONS = { approve: "approved", reject: "rejected" };
+const EXCERPT_LENGTH = 300;
+
+// error for a rejected submission: 422 with the reasons of every rule that rejected it
+const contentRejectedError = (verdict) => {
+    const reasons = verdict.results.filter((r) => r.action === "reject");
+    return new AppError(
+        422,
+        "CONTENT_REJECTED",
+        reasons[0]?.reason || "Content was rejected",
+        reasons.map((r) => ({ rule: r.rule, message: r.reason }))
+    );
+};
+
+/*
+ * Puts a held submission in front of moderators. One pending item per target: holding the same
+ * lesson again (another edit) refreshes the item instead of adding a second one.
+ */
+const holdForModeration = async ({ kind, targetId, lessonId = null, authorEmail, text, verdict }) => {
+    const { moderationQueueCollection } = await getCollections();
+    const now = new Date();
+
+    await moderationQueueCollection.updateOne(
+        { kind, targetId, status: "pending" },
+        {
+            $set: {
+                lessonId,
+                authorEmail,
+                excerpt: String(text).trim().slice(0, EXCERPT_LENGTH),
+                results: verdict.results,
+                score: verdict.score,
+                updatedAt: now,
+            },
+            $setOnInsert: { createdAt: now },
+        },
+        { upsert: true }
+    );
+};
+
+// what approving or rejecting does to the held document, per kind
+const HANDLERS = {
+    comment: {
+        approve: async (item) => {
+            const { commentsCollection, lessonsCollection } = await getCollections();
+            const comment = await commentsCollection.findOneAndUpdate(
+                { _id: item.targetId, held: true, isDeleted: { $ne: true } },
+                { $set: { held: false } },
+                { returnDocument: "after" }
+            );
+            if (!comment) return;
+            const lesson = await lessonsCollection.findOne({ _id: comment.lessonId });
+            if (lesson) await publishComment({ comment, lesson });
+        },
+        // never shown to anyone, so there is nothing to keep
+        reject: async (item) => {
+            const { commentsCollection } = await getCollections();
+            await commentsCollection.deleteOne({ _id: item.targetId, held: true });
+        },
+    },
+    contact: {
+        approve: async (item) => {
+            const { contactMessagesCollection } = await getCollections();
+            const message = await contactMessagesCollection.findOneAndUpdate(
+                { _id: item.targetId, status: "held" },
+                { $set: { status: "new" } },
+                { returnDocument: "after" }
+            );
+            if (!message) return;
+            const sender = await findSender(message.email);
+            await enqueueMail({
+                to: message.email,
+                template: "contactAcknowledgement",
+                data: { name: sender?.name },
+                dedupeKey: `contact:${message._id}`,
+            });
+        },
+        reject: async (item) => {
+            const { contactMessagesCollection } = await getCollections();
+            await contactMessagesCollection.updateOne({ _id: item.targetId, status: "held" }, { $set: { status: "spam" } });
+        },
+    },
+    lesson: {
+        // only lift our own hide; a moderator or suspension hide stays
+        approve: async (item) => {
+            const { lessonsCollection } = await getCollections();
+            const lesson = await lessonsCollection.findOne({ _id: item.targetId });
+            if (lesson?.isHidden && lesson.hiddenReason === "content_filter") await unhideLesson(lesson._id);
+        },
+        reject: async (item, moderatorEmail) => {
+            await hideLesson(item.targetId, "moderator", moderatorEmail);
+        },
+    },
+};
+
+// approve publishes the held submission, reject discards (comments), marks as spam (contact) or keeps hidden (lessons)
+const decideQueueItem = async ({ item, action, note = "", moderatorEmail }) => {
+    const { moderationQueueCollection } = await getCollections();
+    const status = QUEUE_DECISIONS[action];
+
+    const claimed = await moderationQueueCollection.findOneAndUpdate(
+        { _id: item._id, status: "pending" },
+        { $set: { status, note, decidedBy: moderatorEmail, decidedAt: new Date() } },
+        { returnDocument: "after" }
+    );
+    if (!claimed) return null;
+
+    await HANDLERS[item.kind]?.[action](item, moderatorEmail);
+    return claimed;
+};
+
+module.exports = {
+    QUEUE_STATUSES,
+    QUEUE_DECISIONS,
+    contentRejectedError,
+    holdForModeration,
+    decideQueueItem,
+};
@@ -0,0 +1,97 @@
+const { getCollections } = require("../config/mongo");
+
+const NOTIFICATION_TYPES = ["like", "comment", "favorite", "report_resolved"];
+
+// sent regardless of preferences (not listed in NOTIFICATION_TYPES, so they can't be turned off)
+const SYSTEM_TYPES = ["moderation_warning"];
+
+// these collapse into one unread notification per lesson ("5 people liked …")
+const GROUPED_TYPES = ["like", "favorite"];
+
+const DEFAULT_PREFERENCES = Object.fromEntries(NOTIFICATION_TYPES.map((t) => [t, true]));
+
+const getPreferences = (user) => ({ ...DEFAULT_PREFERENCES, ...(user?.notificationPrefs || {}) });
+
+const VERBS = { like: "liked", favorite: "saved", comment: "commented on" };
+
+const formatMessage = (n) => {
+    if (n.type === "report_resolved") {
+        return `Your report on "${n.lessonTitle || "a lesson"}" was ${n.outcome || "resolved"}`;
+    }
+    if (n.type === "moderation_warning") {
+        return `A moderator warned you about "${n.lessonTitle || "your lesson"}"${n.note ? `: ${n.note}` : ""}`;
+    }
+
+    const latest = n.actors?.[0]?.name || "Someone";
+    const others = (n.actorCount || 1) - 1;
+    const who = others > 0 ? `${latest} and ${others} other${others > 1 ? "s" : ""}` : latest;
+    return `${who} ${VERBS[n.type] || "interacted with"} "${n.lessonTitle || "your lesson"}"`;
+};
+
+/*
+ * Creates (or for grouped types, folds into) a notification. Never throws: a failed
+ * notification must not fail the like/comment/save that triggered it.
+ */
+const notify = async ({ type, recipientEmail, actorEmail, lesson, data = {} }) => {
+    try {
+        if (!recipientEmail || recipientEmail === actorEmail) return;
+
+        const { notificationsCollection, usersCollection } = await getCollections();
+        const [recipient, actor] = await Promise.all([
+            usersCollection.findOne({ email: recipientEmail }, { projection: { notificationPrefs: 1 } }),
+            actorEmail
+                ? usersCollection.findOne({ email: actorEmail }, { projection: { name: 1, photoURL: 1 } })
+                : null,
+        ]);
+        if (!SYSTEM_TYPES.includes(type) && !getPreferences(recipient)[type]) return;
+
+        const now = new Date();
+        const actorEntry = actorEmail
+            ? { email: actorEmail, name: actor?.name || "", photoURL: actor?.photoURL || "" }
+            : null;
+        const lessonFields = lesson ? { lessonId: lesson._id, lessonTitle: lesson.title || "" } : {};
+
+        if (GROUPED_TYPES.includes(type) && lesson && actorEntry) {
+            const existing = await notificationsCollection.findOne({
+                recipientEmail,
+                type,
+                lessonId: lesson._id,
+                isRead: false,
+            });
+
+            if (existing) {
+                if ((existing.actorEmails || []).includes(actorEmail)) return;
+                await notificationsCollection.updateOne({ _id: existing._id }, [
+                    {
+                        $set: {
+                            actorEmails: { $concatArrays: ["$actorEmails", { $literal: [actorEmail] }] },
+                            // newest first, keep a handful for avatars
+                            actors: { $slice: [{ $concatArrays: [{ $literal: [actorEntry] }, "$actors"] }, 5] },
+                            actorCount: { $add: ["$actorCount", 1] },
+                            lessonTitle: { $literal: lessonFields.lessonTitle },
+                            updatedAt: now,
+                        },
+                    },
+                ]);
+                return;
+            }
+        }
+
+        await notificationsCollection.insertOne({
+            recipientEmail,
+            type,
+            ...lessonFields,
+            actorEmails: actorEmail ? [actorEmail] : [],
+            actors: actorEntry ? [actorEntry] : [],
+            actorCount: actorEntry ? 1 : 0,
+            ...data,
+            isRead: false,
+            createdAt: now,
+            updatedAt: now,
+        });
+    } catch (err) {
+        console.error("Notification error:", err);
+    }
+};
+
+module.exports = { NOTIFICATION_TYPES, SYSTEM_TYPES, DEFAULT_PREFERENCES, getPreferences, formatMessage, notify };
@@ -0,0 +1,395 @@
+const { stripe } = require("../config/stripe");
+const { getCollections } = require("../config/mongo");
+const { getPlan, DEFAULT_PLAN_ID } = require("../config/plans");
+const { isPremiumActive } = require("../middleware/lessonAccess");
+const {
+    PROMO_CHECKOUT_MINUTES,
+    ensureStripeCoupon,
+    reservePromoRedemption,
+    releasePromoReservation,
+    countPromoRedemption,
+} = require("./promo.service");
+const { createGiftFromEntry } = require("./gifts.service");
+const { enqueueMail } = require("./mail");
+
+const HANDLED_EVENTS = [
+    "checkout.session.completed",
+    "charge.refunded",
+    "payment_intent.payment_failed",
+    "invoice.paid",
+    "customer.subscription.updated",
+    "customer.subscription.deleted",
+];
+
+const toDate = (unix) => (unix ? new Date(unix * 1000) : null);
+
+const addInterval = (date, interval) => {
+    const d = new Date(date);
+    d.setMonth(d.getMonth() + (interval === "year" ? 12 : 1));
+    return d;
+};
+
+// newer Stripe API versions moved these fields, support both shapes
+const invoiceSubscriptionId = (inv) => inv.parent?.subscription_details?.subscription || inv.subscription || null;
+const invoicePaymentIntent = (inv) => inv.payment_intent || inv.payments?.data?.[0]?.payment?.payment_intent || null;
+const subscriptionPeriodEnd = (sub) => sub.current_period_end || sub.items?.data?.[0]?.current_period_end || null;
+
+// Stripe event -> ledger entry. Only the fields we need to decide premium access are kept.
+const toLedgerEntry = (event) => {
+    const obj = event.data?.object || {};
+    const base = { _id: event.id, type: event.type, stripeCreatedAt: toDate(event.created) || new Date() };
+
+    if (event.type === "checkout.session.completed") {
+        const isGift = obj.metadata?.kind === "gift";
+        return {
+            ...base,
+            email: obj.customer_email || obj.customer_details?.email || obj.metadata?.email || null,
+            sessionId: obj.id,
+            paymentIntent: obj.payment_intent || null,
+            subscriptionId: obj.subscription || null,
+            amount: obj.amount_total ?? null,
+            currency: obj.currency || null,
+            plan: obj.metadata?.plan || DEFAULT_PLAN_ID,
+            // gift purchases never grant premium to the buyer, the recipient gets a "gift" entry on redeem
+            mode: isGift ? "gift_purchase" : obj.mode || "payment",
+            ...(isGift && { recipientEmail: obj.metadata?.recipientEmail || null }),
+            promoCode: obj.metadata?.promoCode || null,
+            promoReservation: obj.metadata?.promoReservation || null,
+            // a 100% promo code completes without a charge
+            status: ["paid", "no_payment_required"].includes(obj.payment_status) ? "paid" : "unpaid",
+        };
+    }
+
+    if (event.type === "invoice.paid") {
+        const line = obj.lines?.data?.[0];
+        return {
+            ...base,
+            email: obj.customer_email || null,
+            invoiceId: obj.id,
+            paymentIntent: invoicePaymentIntent(obj),
+            subscriptionId: invoiceSubscriptionId(obj),
+            amount: obj.amount_paid ?? null,
+            currency: obj.currency || null,
+            plan: line?.metadata?.plan || obj.subscription_details?.metadata?.plan || null,
+            mode: "subscription",
+            periodEnd: toDate(line?.period?.end),
+            status: "paid",
+        };
+    }
+
+    if (event.type === "customer.subscription.updated" || event.type === "customer.subscription.deleted") {
+        return {
+            ...base,
+            email: obj.metadata?.email || null,
+            subscriptionId: obj.id,
+            plan: obj.metadata?.plan || null,
+            mode: "subscription",
+            periodEnd: toDate(subscriptionPeriodEnd(obj)),
+            endedAt: toDate(obj.ended_at),
+            cancelAtPeriodEnd: !!obj.cancel_at_period_end,
+            status: event.type === "customer.subscription.deleted" ? "canceled" : obj.status,
+        };
+    }
+
+    if (event.type === "charge.refunded") {
+        return {
+            ...base,
+            email: obj.metadata?.email || obj.billing_details?.email || obj.receipt_email || null,
+            paymentIntent: obj.payment_intent || null,
+            amount: obj.amount_refunded ?? null,
+            currency: obj.currency || null,
+            status: obj.refunded ? "refunded" : "partially_refunded",
+        };
+    }
+
+    if (event.type === "payment_intent.payment_failed") {
+        return {
+            ...base,
+            email: obj.metadata?.email || obj.receipt_email || null,
+            paymentIntent: obj.id,
+            amount: obj.amount ?? null,
+            currency: obj.currency || null,
+            status: "failed",
+            failureMessage: obj.last_payment_error?.message || "",
+        };
+    }
+
+    return null;
+};
+
+/*
+ * Re-derives the user's premium fields from the ledger:
+ * - any paid, not fully refunded lifetime payment => premium with no expiry
+ * - otherwise the latest paid subscription period (capped at endedAt if Stripe ended it early)
+ */
+const syncPremiumFromLedger = async (email) => {
+    if (!email) return null;
+    const { paymentsCollection, usersCollection } = await getCollections();
+
+    const entries = await paymentsCollection.find({ email }).sort({ stripeCreatedAt: 1 }).toArray();
+
+    // refunds are matched by payment intent regardless of who the refund entry belongs to (gifts)
+    const intents = entries.map((e) => e.paymentIntent).filter(Boolean);
+    const refundedEntries = intents.length
+        ? await paymentsCollection.find({ status: "refunded", paymentIntent: { $in: intents } }).toArray()
+        : [];
+    const refunded = new Set(refundedEntries.map((e) => e.paymentIntent));
+    const paid = entries.filter((e) => e.status === "paid" && !(e.paymentIntent && refunded.has(e.paymentIntent)));
+
+    const lifetime = paid.filter((e) => !e.mode || e.mode === "payment");
+
+    const $set = { email, updatedAt: new Date() };
+
+    if (lifetime.length) {
+        const first = lifetime[0];
+        Object.assign($set, {
+            isPremium: true,
+            planId: first.plan || DEFAULT_PLAN_ID,
+            premiumSince: first.stripeCreatedAt,
+            premiumUntil: null,
+            lastTransactionId: lifetime[lifetime.length - 1].paymentIntent,
+        });
+    } else {
+        // latest subscription-state event per subscription
+        const subState = new Map();
+        for (const e of entries) {
+            if (e.subscriptionId && e.type.startsWith("customer.subscription.")) subState.set(e.subscriptionId, e);
+        }
+
+        // once invoices arrive they are the source of truth (refunds point at the invoice's payment intent)
+        const invoiced = new Set(entries.filter((e) => e.type === "invoice.paid").map((e) => e.subscriptionId));
+        const periods = paid.filter(
+            (p) =>
+                (p.mode === "gift" && p.periodEnd) ||
+                (p.mode === "subscription" &&
+                    p.subscriptionId &&
+                    !(p.type === "checkout.session.completed" && invoiced.has(p.subscriptionId)))
+        );
+
+        let current = null;
+        for (const e of periods) {
+            const state = subState.get(e.subscriptionId);
+            const plan = getPlan(e.plan || state?.plan);
+            const fallbackEnd = plan?.interval ? addInterval(e.stripeCreatedAt, plan.interval) : null;
+
+            let until = e.periodEnd || fallbackEnd;
+            if (state?.endedAt && until && state.endedAt < until) until = state.endedAt;
+            if (!until) continue;
+
+            if (!current || until >= current.until) {
+                current = { until, entry: e, state, planId: plan?.id || e.plan || state?.plan || null };
+            }
+        }
+
+        if (current) {
+            const since = current.entry.subscriptionId
+                ? paid.find((p) => p.subscriptionId === current.entry.subscriptionId)
+                : current.entry;
+            Object.assign($set, {
+                planId: current.planId,
+                premiumSince: since?.stripeCreatedAt || current.entry.stripeCreatedAt,
+                premiumUntil: current.until,
+                subscriptionId: current.entry.subscriptionId || null,
+                subscriptionStatus: current.entry.subscriptionId ? current.state?.status || "active" : null,
+                cancelAtPeriodEnd: !!current.state?.cancelAtPeriodEnd,
+                lastTransactionId: current.entry.paymentIntent || current.entry.invoiceId || null,
+            });
+            $set.isPremium = isPremiumActive({ isPremium: true, premiumUntil: current.until });
+        } else {
+            Object.assign($set, { isPremium: false, premiumUntil: null, planId: null });
+        }
+    }
+
+    await usersCollection.updateOne(
+        { email },
+        { $set, $setOnInsert: { createdAt: new Date(), role: "user" } },
+        { upsert: true }
+    );
+
+    return $set.isPremium;
+};
+
+const sendPurchaseEmails = async (entry, gift) => {
+    const { usersCollection } = await getCollections();
+    const buyer = await usersCollection.findOne({ email: entry.email }, { projection: { name: 1 } });
+    const planName = getPlan(entry.plan)?.name || "Premium";
+
+    await enqueueMail({
+        to: entry.email,
+        template: "purchaseReceipt",
+        data: {
+            name: buyer?.name,
+            planName: gift ? `${planName} (gift for ${gift.recipientEmail})` : planName,
+            amount: entry.amount,
+            currency: entry.currency,
+            transactionId: entry.paymentIntent || entry.subscriptionId,
+            date: entry.stripeCreatedAt,
+        },
+        dedupeKey: `receipt:${entry._id}`,
+    });
+
+    if (gift) {
+        await enqueueMail({
+            to: gift.recipientEmail,
+            template: "giftReceived",
+            data: { buyerName: buyer?.name, planName, code: gift.code },
+            dedupeKey: `gift:${gift._id}`,
+        });
+    }
+};
+
+// Writes the event once (keyed by Stripe event id) and re-derives premium for the affected user.
+// processedAt is only set once every side effect went through, so when one of them throws and
+// Stripe re-delivers the event, the retry runs them again (they are all safe to repeat).
+// Returns { duplicate: true } when Stripe re-delivers an event we already processed.
+const recordPaymentEvent = async (event) => {
+    const { paymentsCollection } = await getCollections();
+    const entry = toLedgerEntry(event);
+    if (!entry) return { ignored: true };
+
+    // refunds/failures/renewals don't always carry an email or plan, fall back to earlier entries
+    if ((!entry.email || !entry.plan) && (entry.paymentIntent || entry.subscriptionId)) {
+        const original = await paymentsCollection.findOne(
+            {
+                email: { $ne: null },
+                $or: [
+                    ...(entry.paymentIntent ? [{ paymentIntent: entry.paymentIntent }] : []),
+                    ...(entry.subscriptionId ? [{ subscriptionId: entry.subscriptionId }] : []),
+                ],
+            },
+            { projection: { email: 1, plan: 1 } }
+        );
+        entry.email = entry.email || original?.email || null;
+        if ("plan" in entry) entry.plan = entry.plan || original?.plan || null;
+    }
+
+    const result = await paymentsCollection.updateOne(
+        { _id: entry._id },
+        { $setOnInsert: { ...entry, processedAt: null } },
+        { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) {
+        const stored = await paymentsCollection.findOne({ _id: entry._id }, { projection: { processedAt: 1 } });
+        if (stored?.processedAt) return { duplicate: true };
+    }
+
+    let gift = null;
+    if (entry.type === "checkout.session.completed" && entry.status === "paid") {
+        // the only step that isn't idempotent on its own: claimed on the entry so a retry skips it
+        const promoClaim =
+            entry.promoCode &&
+            (await paymentsCollection.updateOne(
+                { _id: entry._id, promoCountedAt: null },
+                { $set: { promoCountedAt: new Date() } }
+            ));
+        if (promoClaim?.modifiedCount > 0) await countPromoRedemption(entry.promoCode, entry.promoReservation);
+        if (entry.mode === "gift_purchase") gift = await createGiftFromEntry(entry);
+        await sendPurchaseEmails(entry, gift);
+    }
+
+    // a refund can affect everyone holding the same payment intent (buyer + gift recipient)
+    const emails = new Set([entry.email].filter(Boolean));
+    if (entry.paymentIntent) {
+        const holders = await paymentsCollection.distinct("email", { paymentIntent: entry.paymentIntent });
+        holders.filter(Boolean).forEach((e) => emails.add(e));
+    }
+
+    let isPremium = null;
+    for (const email of emails) {
+        const synced = await syncPremiumFromLedger(email);
+        if (email === entry.email) isPremium = synced;
+    }
+
+    await paymentsCollection.updateOne({ _id: entry._id }, { $set: { processedAt: new Date() } });
+
+    return { duplicate: false, email: entry.email, isPremium, gift };
+};
+
+// Builds the Stripe Checkout session for a catalog plan. mode defaults to the plan's own mode,
+// gifts pass "payment" so the buyer is charged once. A limited promo code is reserved for the
+// session, which then expires with the reservation.
+const createPlanCheckout = async ({ plan, email, metadata, promo, mode = plan.mode }) => {
+    const priceData = {
+        currency: plan.currency,
+        unit_amount: plan.amount,
+        product_data: { name: plan.name },
+    };
+    if (mode === "subscription") priceData.recurring = { interval: plan.interval };
+
+    const fullMetadata = { email, plan: plan.id, ...metadata };
+    if (promo) fullMetadata.promoCode = promo.code;
+
+    const params = {
+        payment_method_types: ["card"],
+        mode,
+        customer_email: email,
+        line_items: [{ price_data: priceData, quantity: 1 }],
+        metadata: fullMetadata,
+        success_url: `${process.env.SITE_DOMAIN}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.SITE_DOMAIN}/payment/cancel`,
+    };
+
+    if (mode === "subscription") params.subscription_data = { metadata: fullMetadata };
+    else params.payment_intent_data = { metadata: fullMetadata };
+
+    if (!promo) return stripe.checkout.sessions.create(params);
+
+    const reservation = await reservePromoRedemption(promo, email);
+    if (reservation) {
+        fullMetadata.promoReservation = reservation.id;
+        params.expires_at = Math.floor(Date.now() / 1000) + PROMO_CHECKOUT_MINUTES * 60;
+    }
+
+    try {
+        params.discounts = [{ coupon: await ensureStripeCoupon(promo, plan.currency) }];
+        return await stripe.checkout.sessions.create(params);
+    } catch (err) {
+        // a reused reservation still belongs to the earlier checkout
+        if (reservation && !reservation.reused) await releasePromoReservation(promo, reservation.id);
+        throw err;
+    }
+};
+
+// Redeemed gifts go through the ledger like any Stripe payment, so refunds of the buyer's
+// payment intent revoke them too. Timed gifts stack on top of an active premium period.
+const recordGiftRedemption = async (gift, email, currentPremiumUntil) => {
+    const { paymentsCollection } = await getCollections();
+    const plan = getPlan(gift.plan);
+    const now = new Date();
+
+    let periodEnd = null;
+    if (plan?.interval) {
+        const from = currentPremiumUntil && new Date(currentPremiumUntil) > now ? currentPremiumUntil : now;
+        periodEnd = addInterval(from, plan.interval);
+    }
+
+    await paymentsCollection.updateOne(
+        { _id: `gift_${gift._id}` },
+        {
+            $setOnInsert: {
+                type: "gift.redeemed",
+                email,
+                giftId: gift._id,
+                paymentIntent: gift.paymentIntent || null,
+                plan: plan?.id || gift.plan,
+                mode: periodEnd ? "gift" : "payment",
+                periodEnd,
+                status: "paid",
+                stripeCreatedAt: now,
+                processedAt: now,
+            },
+        },
+        { upsert: true }
+    );
+
+    return syncPremiumFromLedger(email);
+};
+
+module.exports = {
+    HANDLED_EVENTS,
+    createPlanCheckout,
+    recordPaymentEvent,
+    recordGiftRedemption,
+    syncPremiumFromLedger,
+};
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const { stripe } = require("../config/stripe");
+const { getCollections } = require("../config/mongo");
+const { BadRequestError } = require("../errors");
+
+// checkouts using a limited code expire after this long (Stripe's minimum), so their
+// reservations do too; the extra minutes cover a webhook that arrives late
+const PROMO_CHECKOUT_MINUTES = 30;
+const RESERVATION_GRACE_MINUTES = 5;
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+// fixed discounts are stored in the major currency unit (BDT), plan amounts are in poisha
+const discountedAmount = (promo, amount) => {
+    if (promo.type === "percent") return Math.max(0, Math.round(amount * (1 - promo.value / 100)));
+    return Math.max(0, amount - Math.round(promo.value * 100));
+};
+
+// Looks a code up and checks it can be used for the given plan right now (the usage limit is
+// only enforced for real by reservePromoRedemption). Returns { promo } or { error } with a
+// user-facing message.
+const findApplicablePromo = async (code, planId) => {
+    const { promoCodesCollection } = await getCollections();
+    const promo = await promoCodesCollection.findOne({ code: normalizeCode(code) });
+
+    if (!promo || !promo.active) return { error: "Invalid promo code" };
+    if (promo.expiresAt && new Date(promo.expiresAt) <= new Date()) return { error: "Promo code has expired" };
+    if (promo.maxRedemptions && (promo.redeemedCount || 0) >= promo.maxRedemptions) {
+        return { error: "Promo code usage limit reached" };
+    }
+    if (promo.planIds?.length && !promo.planIds.includes(planId)) {
+        return { error: "Promo code is not valid for this plan" };
+    }
+
+    return { promo };
+};
+
+// Stripe coupon mirroring the promo, created on first use. duration "once" so subscriptions
+// only get the discount on the first invoice.
+const ensureStripeCoupon = async (promo, currency) => {
+    if (promo.stripeCouponId) return promo.stripeCouponId;
+
+    const { promoCodesCollection } = await getCollections();
+    const params = { duration: "once", name: promo.code, metadata: { promoCode: promo.code } };
+    if (promo.type === "percent") params.percent_off = promo.value;
+    else Object.assign(params, { amount_off: Math.round(promo.value * 100), currency });
+
+    const coupon = await stripe.coupons.create(params);
+    await promoCodesCollection.updateOne({ _id: promo._id }, { $set: { stripeCouponId: coupon.id } });
+    return coupon.id;
+};
+
+// extends email's live reservation to expiresAt; resolves with it, or null when there is none
+const extendReservation = async (promo, email, now, expiresAt) => {
+    const { promoCodesCollection } = await getCollections();
+    const updated = await promoCodesCollection.findOneAndUpdate(
+        { _id: promo._id, reservations: { $elemMatch: { email, expiresAt: { $gt: now } } } },
+        { $set: { "reservations.$.expiresAt": expiresAt } },
+        { returnDocument: "after", projection: { reservations: 1 } }
+    );
+    const reservation = updated?.reservations.find((r) => r.email === email && r.expiresAt > now);
+    return reservation ? { ...reservation, reused: true } : null;
+};
+
+/*
+ * Holds one use of a limited code for a checkout that has not been paid yet. Redeemed uses plus
+ * live reservations may never exceed maxRedemptions, checked and taken in a single update so
+ * concurrent checkouts can't both get the last one. Each email holds at most one reservation
+ * per code: opening another checkout extends and reuses it (reused: true). Resolves with the
+ * reservation ({ id, email, expiresAt }), or null for codes without a limit; throws 400 when the
+ * code is used up.
+ */
+const reservePromoRedemption = async (promo, email) => {
+    if (!promo.maxRedemptions) return null;
+
+    const { promoCodesCollection } = await getCollections();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + (PROMO_CHECKOUT_MINUTES + RESERVATION_GRACE_MINUTES) * 60 * 1000);
+    const owner = String(email).trim().toLowerCase();
+
+    const existing = await extendReservation(promo, owner, now, expiresAt);
+    if (existing) return existing;
+
+    const reservation = { id: crypto.randomUUID(), email: owner, expiresAt };
+    const liveReservations = {
+        $size: {
+            $filter: { input: { $ifNull: ["$reservations", []] }, cond: { $gt: ["$$this.expiresAt", now] } },
+        },
+    };
+    const result = await promoCodesCollection.updateOne(
+        {
+            _id: promo._id,
+            reservations: { $not: { $elemMatch: { email: owner, expiresAt: { $gt: now } } } },
+            $expr: { $lt: [{ $add: [{ $ifNull: ["$redeemedCount", 0] }, liveReservations] }, "$maxRedemptions"] },
+        },
+        { $push: { reservations: reservation } }
+    );
+    if (!result.modifiedCount) {
+        // a concurrent checkout by the same email may have reserved first
+        const raced = await extendReservation(promo, owner, now, expiresAt);
+        if (raced) return raced;
+        throw new BadRequestError("Promo code usage limit reached");
+    }
+
+    // expired reservations (abandoned checkouts) no longer count, drop them
+    await promoCodesCollection.updateOne(
+        { _id: promo._id },
+        { $pull: { reservations: { expiresAt: { $lte: now } } } }
+    );
+
+    return reservation;
+};
+
+// the checkout could not be created after all
+const releasePromoReservation = async (promo, reservationId) => {
+    const { promoCodesCollection } = await getCollections();
+    await promoCodesCollection.updateOne({ _id: promo._id }, { $pull: { reservations: { id: reservationId } } });
+};
+
+// a paid checkout turns its reservation (if it had one) into a redemption
+const countPromoRedemption = async (code, reservationId = null) => {
+    if (!code) return;
+    const { promoCodesCollection } = await getCollections();
+    const update = { $inc: { redeemedCount: 1 }, $set: { lastRedeemedAt: new Date() } };
+
+    if (reservationId) {
+        const result = await promoCodesCollection.updateOne(
+            { code: normalizeCode(code), "reservations.id": reservationId },
+            { ...update, $pull: { reservations: { id: reservationId } } }
+        );
+        if (result.matchedCount) return;
+    }
+    await promoCodesCollection.updateOne({ code: normalizeCode(code) }, update);
+};
+
+module.exports = {
+    PROMO_CHECKOUT_MINUTES,
+    normalizeCode,
+    discountedAmount,
+    findApplicablePromo,
+    ensureStripeCoupon,
+    reservePromoRedemption,
+    releasePromoReservation,
+    countPromoRedemption,
+};
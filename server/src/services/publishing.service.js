@@ -0,0 +1,94 @@
+const { getCollections } = require("../config/mongo");
+
+const LESSON_STATUSES = ["draft", "scheduled", "published"];
+
+// old lessons have no status = published
+const PUBLISHED_STATUS = { status: { $nin: ["draft", "scheduled"] } };
+
+// use in every query that lists lessons to readers (lessons hidden by moderation included)
+const PUBLISHED = { ...PUBLISHED_STATUS, isHidden: { $ne: true } };
+
+const PUBLISH_CHECK_INTERVAL_MS = 30 * 1000;
+const publishCache = globalThis.__publishDue || (globalThis.__publishDue = { lastRun: 0, promise: null });
+
+const isPublished = (lesson, now = new Date()) => {
+    if (lesson.status === "draft") return false;
+    if (lesson.status === "scheduled") return !!lesson.publishAt && new Date(lesson.publishAt) <= now;
+    return true;
+};
+
+/*
+ * Flips scheduled lessons whose publishAt has passed to published + public.
+ * Called lazily from the public read paths (no cron on serverless), at most once per
+ * PUBLISH_CHECK_INTERVAL_MS per instance.
+ */
+const publishDueLessons = async () => {
+    if (publishCache.promise) return publishCache.promise;
+    if (Date.now() - publishCache.lastRun < PUBLISH_CHECK_INTERVAL_MS) return;
+
+    publishCache.promise = (async () => {
+        const { lessonsCollection } = await getCollections();
+        const now = new Date();
+        const due = await lessonsCollection
+            .find({ status: "scheduled", publishAt: { $lte: now } }, { projection: { publishAt: 1 } })
+            .toArray();
+
+        for (const l of due) {
+            await lessonsCollection.updateOne(
+                { _id: l._id, status: "scheduled" },
+                { $set: { status: "published", visibility: "public", publishedAt: l.publishAt, updatedAt: now } }
+            );
+        }
+        publishCache.lastRun = Date.now();
+    })().finally(() => {
+        publishCache.promise = null;
+    });
+
+    return publishCache.promise;
+};
+
+/*
+ * Works out status/publishAt from a create or update body.
+ * Returns { status, publishAt, publishedAt } or { error }.
+ */
+const resolvePublishState = ({ status, publishAt }, current = {}) => {
+    if (status !== undefined && !LESSON_STATUSES.includes(status)) {
+        return { error: `status must be one of ${LESSON_STATUSES.join(", ")}` };
+    }
+
+    let when = null;
+    if (publishAt !== undefined && publishAt !== null && publishAt !== "") {
+        when = new Date(publishAt);
+        if (Number.isNaN(when.getTime())) return { error: "publishAt must be a valid date" };
+    }
+
+    const now = new Date();
+    let next = status || (when ? "scheduled" : current.status || "published");
+
+    if (next === "scheduled") {
+        when = when || (current.publishAt ? new Date(current.publishAt) : null);
+        if (!when) return { error: "publishAt is required for scheduled lessons" };
+        // a time in the past just publishes now
+        if (when <= now) next = "published";
+    }
+
+    if (next === "published") {
+        const wasPublished = current._id ? isPublished(current, now) : false;
+        return {
+            status: "published",
+            publishAt: null,
+            publishedAt: wasPublished ? current.publishedAt || current.createdAt || now : now,
+        };
+    }
+
+    return { status: next, publishAt: next === "scheduled" ? when : null, publishedAt: null };
+};
+
+module.exports = {
+    LESSON_STATUSES,
+    PUBLISHED_STATUS,
+    PUBLISHED,
+    isPublished,
+    publishDueLessons,
+    resolvePublishState,
+};
@@ -0,0 +1,84 @@
+const { getCollections } = require("../config/mongo");
+const { RATE_LIMIT_STORE } = require("../config/rateLimits");
+
+/*
+ * A store is { name, hit(key, windowMs) }: it counts one request for key in the current fixed
+ * window and resolves with { count, resetAt } (count includes this request).
+ */
+
+const windowOf = (windowMs, now = Date.now()) => {
+    const start = Math.floor(now / windowMs) * windowMs;
+    return { start, resetAt: new Date(start + windowMs) };
+};
+
+const ttlCache = globalThis.__rateLimitTtlIndex || (globalThis.__rateLimitTtlIndex = { promise: null });
+
+// expired windows are removed by Mongo itself
+const ensureTtlIndex = async (collection) => {
+    if (!ttlCache.promise) {
+        ttlCache.promise = collection.createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 }).catch((err) => {
+            ttlCache.promise = null;
+            throw err;
+        });
+    }
+    return ttlCache.promise;
+};
+
+// shared by every serverless instance: one document per key and window
+const createMongoStore = () => ({
+    name: "mongo",
+    hit: async (key, windowMs) => {
+        const { rateLimitsCollection } = await getCollections();
+        await ensureTtlIndex(rateLimitsCollection);
+
+        const { start, resetAt } = windowOf(windowMs);
+        const increment = () =>
+            rateLimitsCollection.findOneAndUpdate(
+                { _id: `${key}:${start}` },
+                { $inc: { count: 1 }, $setOnInsert: { key, resetAt } },
+                { upsert: true, returnDocument: "after" }
+            );
+
+        let doc;
+        try {
+            doc = await increment();
+        } catch (err) {
+            // two instances opened the same window at once; the document exists now
+            if (err.code !== 11000) throw err;
+            doc = await increment();
+        }
+        return { count: doc.count, resetAt };
+    },
+});
+
+// local development: counts live in this process only
+const createMemoryStore = () => {
+    const windows = new Map();
+
+    return {
+        name: "memory",
+        hit: async (key, windowMs) => {
+            const now = Date.now();
+            const { start, resetAt } = windowOf(windowMs, now);
+            const id = `${key}:${start}`;
+
+            const current = windows.get(id) || { count: 0, resetAt };
+            current.count += 1;
+            windows.set(id, current);
+
+            for (const [k, w] of windows) if (w.resetAt.getTime() <= now) windows.delete(k);
+
+            return { count: current.count, resetAt };
+        },
+    };
+};
+
+const FACTORIES = { mongo: createMongoStore, memory: createMemoryStore };
+
+const createStore = (name = RATE_LIMIT_STORE) => {
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown rate limit store: ${name}`);
+    return factory();
+};
+
+module.exports = { createStore };
@@ -0,0 +1,32 @@
+const WEIGHTS = { category: 3, emotionalTone: 2, tag: 1.5, coFavorite: 1 };
+
+// Pure ranking so results only depend on the data: score desc, then savedCount desc, then _id asc.
+const rankRelated = (source, candidates, coFavoriteCounts = new Map(), limit = 6) => {
+    const sourceTags = new Set(source.tags || []);
+
+    return candidates
+        .map((lesson) => {
+            const sharedTags = (lesson.tags || []).filter((t) => sourceTags.has(t));
+            const coFavorites = coFavoriteCounts.get(String(lesson._id)) || 0;
+            const sameCategory = !!source.category && lesson.category === source.category;
+            const sameTone = !!source.emotionalTone && lesson.emotionalTone === source.emotionalTone;
+
+            const score =
+                (sameCategory ? WEIGHTS.category : 0) +
+                (sameTone ? WEIGHTS.emotionalTone : 0) +
+                sharedTags.length * WEIGHTS.tag +
+                coFavorites * WEIGHTS.coFavorite;
+
+            return { lesson, score, reasons: { sameCategory, sameTone, sharedTags, coFavorites } };
+        })
+        .filter((r) => r.score > 0)
+        .sort(
+            (a, b) =>
+                b.score - a.score ||
+                (b.lesson.savedCount || 0) - (a.lesson.savedCount || 0) ||
+                String(a.lesson._id).localeCompare(String(b.lesson._id))
+        )
+        .slice(0, limit);
+};
+
+module.exports = { WEIGHTS, rankRelated };
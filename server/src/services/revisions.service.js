@@ -0,0 +1,79 @@
+const { getCollections } = require("../config/mongo");
+
+// lesson fields that authors can edit and that revisions track
+const REVISION_FIELDS = [
+    "title",
+    "shortDescription",
+    "details",
+    "category",
+    "emotionalTone",
+    "tags",
+    "accessLevel",
+    "visibility",
+];
+
+const pickTracked = (doc) => Object.fromEntries(REVISION_FIELDS.map((f) => [f, doc?.[f] ?? null]));
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// field-level diff between two snapshots: { field: { from, to } } for fields that differ
+const diffSnapshots = (before, after) => {
+    const changes = {};
+    for (const f of REVISION_FIELDS) {
+        if (!isSame(before?.[f], after?.[f])) changes[f] = { from: before?.[f] ?? null, to: after?.[f] ?? null };
+    }
+    return changes;
+};
+
+const nextRevisionNumber = async (lessonId) => {
+    const { lessonsCollection } = await getCollections();
+    const updated = await lessonsCollection.findOneAndUpdate(
+        { _id: lessonId },
+        { $inc: { revisionCount: 1 } },
+        { returnDocument: "after", projection: { revisionCount: 1 } }
+    );
+    return updated?.revisionCount || 1;
+};
+
+/*
+ * Stores a full snapshot of the tracked fields plus what changed from `before`.
+ * Lessons created before revisions existed get a baseline revision first so their
+ * original text can still be restored.
+ */
+const recordRevision = async ({ before, after, editorEmail, action = "update", restoredFrom = null }) => {
+    const { lessonRevisionsCollection } = await getCollections();
+    const lessonId = before._id;
+
+    if (action !== "create" && !before.revisionCount) {
+        await lessonRevisionsCollection.insertOne({
+            lessonId,
+            revision: await nextRevisionNumber(lessonId),
+            action: "baseline",
+            editorEmail: before.creatorEmail,
+            changedFields: [],
+            changes: {},
+            snapshot: pickTracked(before),
+            createdAt: before.updatedAt || before.createdAt || new Date(),
+        });
+    }
+
+    const snapshot = pickTracked(after);
+    const changes = action === "create" ? {} : diffSnapshots(pickTracked(before), snapshot);
+
+    const doc = {
+        lessonId,
+        revision: await nextRevisionNumber(lessonId),
+        action,
+        editorEmail,
+        changedFields: Object.keys(changes),
+        changes,
+        snapshot,
+        restoredFrom,
+        createdAt: new Date(),
+    };
+
+    await lessonRevisionsCollection.insertOne(doc);
+    return doc;
+};
+
+module.exports = { REVISION_FIELDS, pickTracked, diffSnapshots, recordRevision };
@@ -0,0 +1,84 @@
+const { getCollections } = require("../config/mongo");
+
+const LESSON_TEXT_INDEX = "lessons_text";
+const SNIPPET_RADIUS = 60;
+
+const indexCache = globalThis.__lessonTextIndex || (globalThis.__lessonTextIndex = { promise: null });
+
+// $text needs the index to exist; createIndex is a no-op when it already does
+const ensureLessonTextIndex = async () => {
+    if (!indexCache.promise) {
+        indexCache.promise = (async () => {
+            const { lessonsCollection } = await getCollections();
+            await lessonsCollection.createIndex(
+                { title: "text", shortDescription: "text", details: "text", category: "text", creatorName: "text" },
+                {
+                    name: LESSON_TEXT_INDEX,
+                    weights: { title: 10, shortDescription: 5, category: 3, creatorName: 3, details: 1 },
+                    default_language: "english",
+                }
+            );
+        })().catch((err) => {
+            indexCache.promise = null;
+            throw err;
+        });
+    }
+    return indexCache.promise;
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const escapeHtml = (s) =>
+    s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// words to highlight: quoted phrases stay whole, negated terms (-word) are skipped
+const searchTerms = (query) => {
+    const terms = [];
+    const phraseRe = /"([^"]+)"/g;
+    let m;
+    while ((m = phraseRe.exec(query))) terms.push(m[1].trim());
+    query
+        .replace(phraseRe, " ")
+        .split(/\s+/)
+        .filter((w) => w && !w.startsWith("-"))
+        .forEach((w) => terms.push(w));
+    return [...new Set(terms.filter((t) => t.length > 1))];
+};
+
+// HTML-escaped excerpt around the first match with every match wrapped in <mark>
+const snippet = (text, terms) => {
+    if (!text || !terms.length) return null;
+    const re = new RegExp(`(${terms.map(escapeRegex).join("|")})`, "gi");
+    const first = text.search(re);
+    if (first === -1) return null;
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+    const excerpt = `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+
+    return excerpt
+        .split(re)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join("");
+};
+
+const HIGHLIGHT_FIELDS = ["title", "shortDescription", "details", "category", "creatorName"];
+
+const buildHighlights = (lesson, query) => {
+    const terms = searchTerms(query);
+    const out = {};
+    for (const field of HIGHLIGHT_FIELDS) {
+        const s = snippet(lesson[field], terms);
+        if (s) out[field] = s;
+    }
+    return out;
+};
+
+// counts per value of `field` for the given match, as [{ value, count }]
+const facetCounts = async (collection, match, field) => {
+    const rows = await collection
+        .aggregate([{ $match: match }, { $group: { _id: `$${field}`, count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }])
+        .toArray();
+    return rows.filter((r) => r._id).map((r) => ({ value: r._id, count: r.count }));
+};
+
+module.exports = { ensureLessonTextIndex, buildHighlights, facetCounts };
@@ -0,0 +1,97 @@
+const { getCollections } = require("../config/mongo");
+const { historyEntry } = require("./moderation.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REASON_LENGTH = 500;
+
+// user.suspension = { reason, until (null = permanent), hideLessons, by, createdAt }
+const isSuspensionActive = (suspension, now = new Date()) =>
+    !!suspension && (!suspension.until || new Date(suspension.until).getTime() > now.getTime());
+
+// body: { reason, until } or { reason, days }; neither means permanent. Returns the fields or { error }
+const parseSuspension = (body = {}, now = new Date()) => {
+    const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+    if (!reason) return { error: "reason is required" };
+    if (reason.length > MAX_REASON_LENGTH) return { error: `reason cannot exceed ${MAX_REASON_LENGTH} characters` };
+
+    let until = null;
+    if (body.until !== undefined && body.until !== null) {
+        until = new Date(body.until);
+        if (Number.isNaN(until.getTime())) return { error: "until must be a valid date" };
+    } else if (body.days !== undefined && body.days !== null) {
+        const days = Number(body.days);
+        if (!Number.isFinite(days) || days <= 0) return { error: "days must be a positive number" };
+        until = new Date(now.getTime() + days * DAY_MS);
+    }
+    if (until && until <= now) return { error: "until must be in the future" };
+
+    return { reason, until, hideLessons: body.hideLessons === true };
+};
+
+const setLessonsHidden = async (email, hidden, by = null) => {
+    const { lessonsCollection } = await getCollections();
+    const now = new Date();
+    if (hidden) {
+        return lessonsCollection.updateMany(
+            { creatorEmail: email, isHidden: { $ne: true } },
+            { $set: { isHidden: true, hiddenReason: "suspension", hiddenBy: by, hiddenAt: now, updatedAt: now } }
+        );
+    }
+    // only what the suspension hid; moderator-hidden lessons stay hidden
+    return lessonsCollection.updateMany(
+        { creatorEmail: email, isHidden: true, hiddenReason: "suspension" },
+        { $set: { isHidden: false, updatedAt: now }, $unset: { hiddenReason: "", hiddenBy: "", hiddenAt: "" } }
+    );
+};
+
+// suspending an already suspended user replaces the suspension (extend, shorten, change hideLessons)
+const suspendUser = async ({ user, reason, until, hideLessons, by }) => {
+    const { usersCollection } = await getCollections();
+    const now = new Date();
+    const suspension = { reason, until, hideLessons, by, createdAt: now };
+
+    await usersCollection.updateOne(
+        { _id: user._id },
+        {
+            $set: { suspension, updatedAt: now },
+            $push: { suspensionHistory: { ...historyEntry({ status: "suspended", note: reason, by }), until } },
+        }
+    );
+    await setLessonsHidden(user.email, hideLessons, by);
+    return suspension;
+};
+
+const liftSuspension = async ({ user, by = null, note = "" }) => {
+    const { usersCollection } = await getCollections();
+    const now = new Date();
+
+    const result = await usersCollection.updateOne(
+        { _id: user._id, suspension: { $exists: true } },
+        {
+            $unset: { suspension: "" },
+            $set: { updatedAt: now },
+            $push: { suspensionHistory: historyEntry({ status: by ? "lifted" : "expired", note, by }) },
+        }
+    );
+    if (result.modifiedCount > 0) await setLessonsHidden(user.email, false);
+    return result.modifiedCount > 0;
+};
+
+// temporary suspensions end on their own; run from the cron job and lazily when the user acts
+const liftExpiredSuspensions = async () => {
+    const { usersCollection } = await getCollections();
+    const expired = await usersCollection
+        .find({ "suspension.until": { $ne: null, $lte: new Date() } }, { projection: { email: 1 } })
+        .toArray();
+
+    for (const user of expired) await liftSuspension({ user });
+    return { lifted: expired.length };
+};
+
+module.exports = {
+    isSuspensionActive,
+    parseSuspension,
+    suspendUser,
+    liftSuspension,
+    liftExpiredSuspensions,
+};
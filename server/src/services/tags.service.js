@@ -0,0 +1,43 @@
+const MAX_TAGS_PER_LESSON = 10;
+const MAX_TAG_LENGTH = 30;
+
+// "  Self Care!! " -> "self-care"; letters of any script are kept ("জীবন-দর্শন"), including
+// the combining vowel signs scripts like Bengali need (\p{M})
+const normalizeTag = (tag) =>
+    Array.from(
+        String(tag || "")
+            .normalize("NFC")
+            .toLowerCase()
+            .trim()
+            .replace(/[\s_]+/g, "-")
+            .replace(/[^\p{L}\p{M}\p{N}-]/gu, "")
+            .replace(/-+/g, "-")
+            .replace(/^-|-$/g, "")
+    )
+        .slice(0, MAX_TAG_LENGTH)
+        .join("")
+        .replace(/-$/, "");
+
+/*
+ * Accepts an array or a comma separated string.
+ * Returns { tags } (deduplicated, normalized) or { error }.
+ */
+const normalizeTags = (input) => {
+    if (input === null || input === "") return { tags: [] };
+
+    const raw = Array.isArray(input) ? input : typeof input === "string" ? input.split(",") : null;
+    if (!raw) return { error: "tags must be an array or a comma separated string" };
+
+    const tags = [];
+    for (const entry of raw) {
+        if (!String(entry ?? "").trim()) continue;
+        const tag = normalizeTag(entry);
+        if (!tag) return { error: `Tag "${String(entry).trim()}" must contain a letter or a digit` };
+        if (!tags.includes(tag)) tags.push(tag);
+    }
+    if (tags.length > MAX_TAGS_PER_LESSON) return { error: `A lesson can have at most ${MAX_TAGS_PER_LESSON} tags` };
+
+    return { tags };
+};
+
+module.exports = { MAX_TAGS_PER_LESSON, normalizeTag, normalizeTags };
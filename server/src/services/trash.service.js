@@ -0,0 +1,108 @@
+const { getCollections } = require("../config/mongo");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+const TRASH_RETENTION_DAYS = Number.isNaN(retentionDays) || retentionDays < 1 ? 30 : retentionDays;
+const PURGE_BATCH = 100;
+
+const TRASHED = { isDeleted: true };
+
+// lessons deleted before the trash bin existed have no deletedAt, updatedAt is the best we have
+const deletedAtOf = (lesson) => new Date(lesson.deletedAt || lesson.updatedAt || lesson.createdAt || 0);
+
+const purgeAtOf = (lesson) => new Date(deletedAtOf(lesson).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+const withPurgeAt = (lesson) => ({ ...lesson, purgeAt: purgeAtOf(lesson) });
+
+const moveToTrash = async (lessonId, { by, byAdmin = false }) => {
+    const { lessonsCollection } = await getCollections();
+    const now = new Date();
+    return lessonsCollection.updateOne(
+        { _id: lessonId, isDeleted: { $ne: true } },
+        { $set: { isDeleted: true, deletedAt: now, deletedBy: by, deletedByAdmin: byAdmin, updatedAt: now } }
+    );
+};
+
+const restoreFromTrash = async (lessonId) => {
+    const { lessonsCollection } = await getCollections();
+    return lessonsCollection.updateOne(
+        { _id: lessonId, ...TRASHED },
+        {
+            $set: { isDeleted: false, updatedAt: new Date() },
+            $unset: { deletedAt: "", deletedBy: "", deletedByAdmin: "" },
+        }
+    );
+};
+
+/*
+ * Deletes a lesson for good together with everything that points at it: favorites,
+ * comments, reports, engagement events, notifications and revisions. Likes live on the
+ * lesson document itself. Returns how many dependents were removed.
+ */
+const purgeLesson = async (lessonId) => {
+    const {
+        lessonsCollection,
+        favoritesCollection,
+        commentsCollection,
+        reportsCollection,
+        lessonEventsCollection,
+        notificationsCollection,
+        lessonRevisionsCollection,
+    } = await getCollections();
+
+    const result = await lessonsCollection.deleteOne({ _id: lessonId });
+    if (result.deletedCount === 0) return null;
+
+    const byLesson = { lessonId };
+    const [favorites, comments, reports, events, notifications, revisions] = await Promise.all([
+        favoritesCollection.deleteMany(byLesson),
+        commentsCollection.deleteMany(byLesson),
+        reportsCollection.deleteMany(byLesson),
+        lessonEventsCollection.deleteMany(byLesson),
+        notificationsCollection.deleteMany(byLesson),
+        lessonRevisionsCollection.deleteMany(byLesson),
+    ]);
+
+    return {
+        favorites: favorites.deletedCount,
+        comments: comments.deletedCount,
+        reports: reports.deletedCount,
+        events: events.deletedCount,
+        notifications: notifications.deletedCount,
+        revisions: revisions.deletedCount,
+    };
+};
+
+// lessons that have been in the trash longer than TRASH_RETENTION_DAYS
+const purgeExpiredTrash = async ({ limit = PURGE_BATCH } = {}) => {
+    const { lessonsCollection } = await getCollections();
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+
+    const expired = await lessonsCollection
+        .find(
+            {
+                ...TRASHED,
+                $or: [{ deletedAt: { $lte: cutoff } }, { deletedAt: { $exists: false }, updatedAt: { $lte: cutoff } }],
+            },
+            { projection: { _id: 1 } }
+        )
+        .limit(limit)
+        .toArray();
+
+    let purged = 0;
+    for (const lesson of expired) {
+        if (await purgeLesson(lesson._id)) purged += 1;
+    }
+    return { purged };
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    TRASHED,
+    purgeAtOf,
+    withPurgeAt,
+    moveToTrash,
+    restoreFromTrash,
+    purgeLesson,
+    purgeExpiredTrash,
+};
@@ -0,0 +1,106 @@
+const { getCollections } = require("../config/mongo");
+const { TRENDING } = require("../config/trending");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const LOCK_ID = "trending";
+
+const weightExpr = () => ({
+    $switch: {
+        branches: Object.entries(TRENDING.weights).map(([type, w]) => ({ case: { $eq: ["$type", type] }, then: w })),
+        default: 0,
+    },
+});
+
+/*
+ * Recomputes trendingScore / risingScore for every lesson with events in the window.
+ * trendingScore = sum(weight * 0.5 ^ (ageHours / halfLife))
+ * risingScore   = weighted engagement this week minus the week before (positive only)
+ * Only the event window is scanned; lessons that dropped out are reset to 0.
+ */
+const recomputeTrending = async () => {
+    const { lessonEventsCollection, lessonsCollection, jobLocksCollection } = await getCollections();
+    const now = new Date();
+    const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+    const twoWeeksAgo = new Date(now.getTime() - 14 * DAY_MS);
+    const windowStart = new Date(now.getTime() - TRENDING.windowDays * DAY_MS);
+    const lambda = Math.LN2 / TRENDING.halfLifeHours;
+
+    const rows = await lessonEventsCollection
+        .aggregate([
+            { $match: { createdAt: { $gte: windowStart } } },
+            { $addFields: { w: weightExpr(), ageHours: { $divide: [{ $subtract: [now, "$createdAt"] }, HOUR_MS] } } },
+            {
+                $group: {
+                    _id: "$lessonId",
+                    trending: { $sum: { $multiply: ["$w", { $exp: { $multiply: [-lambda, "$ageHours"] } }] } },
+                    thisWeek: { $sum: { $cond: [{ $gte: ["$createdAt", weekAgo] }, "$w", 0] } },
+                    prevWeek: {
+                        $sum: {
+                            $cond: [
+                                { $and: [{ $lt: ["$createdAt", weekAgo] }, { $gte: ["$createdAt", twoWeeksAgo] }] },
+                                "$w",
+                                0,
+                            ],
+                        },
+                    },
+                },
+            },
+        ])
+        .toArray();
+
+    if (rows.length) {
+        await lessonsCollection.bulkWrite(
+            rows.map((r) => ({
+                updateOne: {
+                    filter: { _id: r._id },
+                    update: {
+                        $set: {
+                            trendingScore: Math.round(r.trending * 1000) / 1000,
+                            risingScore: Math.max(0, Math.round((r.thisWeek - r.prevWeek) * 1000) / 1000),
+                            trendingComputedAt: now,
+                        },
+                    },
+                },
+            })),
+            { ordered: false }
+        );
+    }
+
+    // only lessons that still carry a score; ones already at 0 are left alone
+    const reset = await lessonsCollection.updateMany(
+        { trendingComputedAt: { $lt: now }, $or: [{ trendingScore: { $gt: 0 } }, { risingScore: { $gt: 0 } }] },
+        { $set: { trendingScore: 0, risingScore: 0, trendingComputedAt: now } }
+    );
+
+    // scheduled runs (/jobs/trending) count as fresh too, so requests don't recompute inline
+    await jobLocksCollection.updateOne({ _id: LOCK_ID }, { $max: { lastRunAt: now } }, { upsert: true });
+
+    return { updated: rows.length, reset: reset.modifiedCount, computedAt: now };
+};
+
+/*
+ * Recomputes when the stored scores are older than recomputeMinutes. A lock document makes
+ * sure only one instance does the work; everyone else keeps serving the current scores.
+ */
+const ensureTrendingFresh = async () => {
+    const { jobLocksCollection } = await getCollections();
+    const staleBefore = new Date(Date.now() - TRENDING.recomputeMinutes * 60 * 1000);
+
+    try {
+        await jobLocksCollection.findOneAndUpdate(
+            { _id: LOCK_ID, lastRunAt: { $lt: staleBefore } },
+            { $set: { lastRunAt: new Date() } },
+            { upsert: true }
+        );
+    } catch (err) {
+        // duplicate key: the lock exists and is still fresh, nothing to do
+        if (err.code === 11000) return null;
+        throw err;
+    }
+
+    // we either created the lock (first run) or took over a stale one
+    return recomputeTrending();
+};
+
+module.exports = { recomputeTrending, ensureTrendingFresh };
@@ -0,0 +1,93 @@
+const { str, num, bool, objectId, date, oneOf, array, object } = require("./schema");
+const { idParams, pageQuery, note } = require("./common.schemas");
+const { REPORT_ACTIONS } = require("../services/moderation.service");
+const { QUEUE_STATUSES, QUEUE_DECISIONS } = require("../services/moderationQueue.service");
+const { MAX_LIST_WORDS, MAX_WORD_LENGTH } = require("../services/contentFilter.service");
+const { WORD_LISTS } = require("../config/contentFilter");
+
+const byId = { params: idParams };
+
+const updateRole = { params: idParams, body: object({ role: oneOf(["admin", "user"], { required: true }) }) };
+
+const suspend = {
+    params: idParams,
+    body: object({
+        reason: str({ required: true, max: 500 }),
+        until: date({ nullable: true }),
+        days: num({ min: 0 }),
+        hideLessons: bool(),
+    }),
+};
+
+const liftSuspension = { params: idParams, body: object({ note }) };
+
+const lessonsList = {
+    query: object({
+        visibility: oneOf(["all", "public", "private"]),
+        category: str({ max: 60 }),
+        flagged: oneOf(["all", "true", "false"]),
+    }),
+};
+
+const setFlag = (name) => ({ params: idParams, body: object({ [name]: bool({ required: true }) }) });
+
+const trash = { query: object({ ...pageQuery, creator: str({ max: 254 }) }) };
+
+const auditLog = {
+    query: object({
+        ...pageQuery,
+        actor: str({ max: 254 }),
+        action: str({ max: 100 }),
+        targetType: str({ max: 50 }),
+        targetId: str({ max: 254 }),
+        from: date(),
+        to: date(),
+    }),
+};
+
+const lessonIdParams = object({ lessonId: objectId({ required: true }) });
+
+const decideReports = {
+    params: lessonIdParams,
+    body: object({ action: oneOf(Object.keys(REPORT_ACTIONS), { required: true }), note }),
+};
+
+const ignoreReports = { params: lessonIdParams, body: object({ note }) };
+
+const moderationQueue = {
+    query: object({
+        ...pageQuery,
+        status: oneOf(QUEUE_STATUSES),
+        kind: oneOf(["comment", "contact", "lesson"]),
+    }),
+};
+
+const decideQueueItem = {
+    params: idParams,
+    body: object({ action: oneOf(Object.keys(QUEUE_DECISIONS), { required: true }), note }),
+};
+
+const listParams = object({ name: oneOf(Object.keys(WORD_LISTS), { required: true }) });
+const words = (opts = {}) => array(str({ required: true, max: MAX_WORD_LENGTH }), { max: MAX_LIST_WORDS, ...opts });
+
+const replaceWordList = { params: listParams, body: object({ words: words({ required: true }) }) };
+const updateWordList = { params: listParams, body: object({ add: words(), remove: words() }) };
+
+module.exports = {
+    byId,
+    updateRole,
+    suspend,
+    liftSuspension,
+    lessonsList,
+    featured: setFlag("featured"),
+    reviewed: setFlag("reviewed"),
+    hidden: setFlag("hidden"),
+    trash,
+    auditLog,
+    decideReports,
+    ignoreReports,
+    moderationQueue,
+    decideQueueItem,
+    replaceWordList,
+    updateWordList,
+};
@@ -0,0 +1,14 @@
+const { str, email, object } = require("./schema");
+const { LOCAL_AUTH } = require("../config/auth");
+
+const password = str({ required: true, min: LOCAL_AUTH.minPasswordLength, max: LOCAL_AUTH.maxPasswordLength });
+
+const register = { body: object({ email: email({ required: true }), password, name: str({ max: 100 }) }) };
+
+const login = { body: object({ email: email({ required: true }), password: str({ required: true, max: 1000 }) }) };
+
+const refresh = { body: object({ refreshToken: str({ required: true, max: 500 }) }) };
+
+const logout = { body: object({ refreshToken: str({ max: 500 }) }) };
+
+module.exports = { register, login, refresh, logout };
@@ -0,0 +1,12 @@
+const { str, int, objectId, email, object } = require("./schema");
+
+const idParams = object({ id: objectId({ required: true }) });
+const emailParams = object({ email: email({ required: true }) });
+
+const pageQuery = { page: int({ min: 1 }), limit: int({ min: 1 }) };
+const paginationQuery = object(pageQuery);
+
+// moderator notes on reports, suspensions, ...
+const note = str({ max: 1000, trim: true });
+
+module.exports = { idParams, emailParams, pageQuery, paginationQuery, note };
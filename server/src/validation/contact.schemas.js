@@ -0,0 +1,36 @@
+const { str, bool, date, email, oneOf, object } = require("./schema");
+const { idParams, pageQuery } = require("./common.schemas");
+const { CONTACT_STATUSES, MAX_REPLY_LENGTH } = require("../services/contact.service");
+
+const create = {
+    body: object({
+        name: str({ required: true, max: 100 }),
+        email: email({ required: true }),
+        subject: str({ required: true, max: 200 }),
+        message: str({ required: true, max: 5000 }),
+    }),
+};
+
+const list = {
+    query: object({
+        ...pageQuery,
+        status: oneOf(CONTACT_STATUSES),
+        q: str({ max: 200 }),
+        from: date(),
+        to: date(),
+        unread: oneOf(["true", "false"]),
+    }),
+};
+
+const byId = { params: idParams };
+
+const updateStatus = { params: idParams, body: object({ status: oneOf(CONTACT_STATUSES, { required: true }) }) };
+
+const addNote = { params: idParams, body: object({ text: str({ required: true, min: 1, max: 2000, trim: true }) }) };
+
+const reply = {
+    params: idParams,
+    body: object({ message: str({ required: true, min: 1, max: MAX_REPLY_LENGTH, trim: true }), sendEmail: bool() }),
+};
+
+module.exports = { create, list, byId, updateStatus, addNote, reply };
@@ -0,0 +1,8 @@
+const { objectId, object } = require("./schema");
+const { idParams } = require("./common.schemas");
+
+const add = { body: object({ lessonId: objectId({ required: true }) }) };
+
+const remove = { params: idParams };
+
+module.exports = { add, remove };
@@ -0,0 +1,5 @@
+const { str, int, object } = require("./schema");
+
+const home = { query: object({ limit: int({ min: 1 }), cursor: str({ max: 100 }) }) };
+
+module.exports = { home };
@@ -0,0 +1,10 @@
+const { str, email, oneOf, object } = require("./schema");
+const { planIds, promoCode } = require("./payments.schemas");
+
+const checkout = {
+    body: object({ recipientEmail: email({ required: true }), plan: oneOf(planIds), promoCode }),
+};
+
+const redeem = { body: object({ code: str({ required: true, max: 64 }) }) };
+
+module.exports = { checkout, redeem };
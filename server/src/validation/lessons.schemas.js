@@ -0,0 +1,96 @@
+const { str, int, objectId, date, email, oneOf, array, object, any } = require("./schema");
+const { idParams, pageQuery } = require("./common.schemas");
+const { LESSON_STATUSES } = require("../services/publishing.service");
+
+const ACCESS_LEVELS = ["free", "premium"];
+const VISIBILITIES = ["public", "private"];
+
+// tags: array or comma separated string, normalizeTags does the rest
+const lessonFields = {
+    title: str({ min: 1, max: 200 }),
+    shortDescription: str({ min: 1, max: 500 }),
+    details: str({ max: 50000 }),
+    category: str({ max: 60 }),
+    emotionalTone: str({ max: 60 }),
+    tags: any(),
+    accessLevel: oneOf(ACCESS_LEVELS),
+    visibility: oneOf(VISIBILITIES),
+    status: oneOf(LESSON_STATUSES),
+    publishAt: date({ nullable: true }),
+};
+
+const create = {
+    body: object({
+        ...lessonFields,
+        title: str({ required: true, max: 200 }),
+        shortDescription: str({ required: true, max: 500 }),
+        creatorName: str({ max: 100 }),
+        creatorPhotoURL: str({ max: 2048 }),
+    }),
+};
+
+const update = { params: idParams, body: object(lessonFields) };
+
+const myLessons = {
+    query: object({ email: email({ required: true }), status: oneOf(LESSON_STATUSES) }),
+};
+
+const publicList = {
+    query: object({
+        ...pageQuery,
+        search: str({ max: 200 }),
+        category: str({ max: 60 }),
+        tone: str({ max: 60 }),
+        tags: str({ max: 500 }),
+        sort: oneOf(["relevance", "newest", "mostSaved", "trending"]),
+    }),
+};
+
+const trending = { query: object({ variant: oneOf(["trending", "rising"]), limit: int({ min: 1 }) }) };
+
+const related = { params: idParams, query: object({ limit: int({ min: 1 }) }) };
+
+const byId = { params: idParams };
+
+const commentParams = object({ id: objectId({ required: true }), commentId: objectId({ required: true }) });
+
+const listComments = {
+    params: idParams,
+    query: object({ ...pageQuery, sort: oneOf(["newest", "top"]), parentId: objectId() }),
+};
+
+const addComment = {
+    params: idParams,
+    body: object({ comment: str({ required: true, max: 2000 }), parentId: objectId({ nullable: true }) }),
+};
+
+const editComment = { params: commentParams, body: object({ comment: str({ required: true, max: 2000 }) }) };
+
+const deleteComment = { params: commentParams };
+
+const revisionParams = object({ id: objectId({ required: true }), revision: int({ required: true, min: 1 }) });
+
+const revision = { params: revisionParams };
+
+const diffRevisions = {
+    params: idParams,
+    query: object({ from: int({ required: true, min: 1 }), to: int({ required: true, min: 1 }) }),
+};
+
+module.exports = {
+    ACCESS_LEVELS,
+    VISIBILITIES,
+    create,
+    update,
+    myLessons,
+    publicList,
+    trending,
+    related,
+    byId,
+    listComments,
+    addComment,
+    editComment,
+    deleteComment,
+    revision,
+    diffRevisions,
+};
@@ -0,0 +1,14 @@
+const { bool, oneOf, object } = require("./schema");
+const { idParams, pageQuery } = require("./common.schemas");
+const { NOTIFICATION_TYPES } = require("../services/notifications.service");
+
+const list = { query: object({ ...pageQuery, unread: oneOf(["true", "false"]) }) };
+
+const markRead = { params: idParams };
+
+// { like: false, comment: true, ... } – unknown types are rejected
+const preferences = {
+    body: object(Object.fromEntries(NOTIFICATION_TYPES.map((t) => [t, bool()])), { unknown: "reject" }),
+};
+
+module.exports = { list, markRead, preferences };
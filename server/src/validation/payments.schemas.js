@@ -0,0 +1,13 @@
+const { str, oneOf, object } = require("./schema");
+const { PLANS } = require("../config/plans");
+
+const planIds = Object.keys(PLANS);
+const promoCode = str({ max: 32 });
+
+const checkout = {
+    body: object({ plan: oneOf(planIds), promoCode }),
+};
+
+const paymentSuccess = { query: object({ session_id: str({ required: true, max: 255 }) }) };
+
+module.exports = { planIds, promoCode, checkout, paymentSuccess };
@@ -0,0 +1,25 @@
+const { str, num, int, bool, date, oneOf, array, object } = require("./schema");
+const { idParams } = require("./common.schemas");
+const { planIds } = require("./payments.schemas");
+
+// business rules (percent <= 100, code format, ...) stay in the controller
+const editable = {
+    maxRedemptions: int({ min: 1, nullable: true }),
+    expiresAt: date({ nullable: true }),
+    planIds: array(oneOf(planIds)),
+};
+
+const create = {
+    body: object({
+        code: str({ required: true, max: 32 }),
+        type: oneOf(["percent", "fixed"], { required: true }),
+        value: num({ required: true, min: 0 }),
+        ...editable,
+    }),
+};
+
+const update = { params: idParams, body: object({ active: bool(), ...editable }) };
+
+const preview = { body: object({ code: str({ required: true, max: 32 }), plan: oneOf(planIds) }) };
+
+module.exports = { create, update, preview };
@@ -0,0 +1,24 @@
+const { str, objectId, oneOf, object } = require("./schema");
+const { idParams, note } = require("./common.schemas");
+const { REPORT_STATUSES, REPORT_ACTIONS } = require("../services/moderation.service");
+
+const create = {
+    body: object({
+        lessonId: objectId({ required: true }),
+        reason: str({ max: 100 }),
+        message: str({ max: 2000 }),
+    }),
+};
+
+const list = { query: object({ status: oneOf(REPORT_STATUSES) }) };
+
+const review = { params: idParams, body: object({ note }) };
+
+const resolve = {
+    params: idParams,
+    body: object({ action: oneOf(Object.keys(REPORT_ACTIONS), { required: true }), note }),
+};
+
+const dismiss = { params: idParams, body: object({ note }) };
+
+module.exports = { create, list, review, resolve, dismiss };
@@ -0,0 +1,115 @@
+const { ObjectId } = require("mongodb");
+
+/*
+ * Small declarative schemas for request params, query and body.
+ * A field is a plain object ({ type, required, ...constraints }) built with the helpers below;
+ * an object schema is { type: "object", shape: { field: spec }, unknown }.
+ * Query and params arrive as strings, so they are checked with coerce: true.
+ */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const str = (opts = {}) => ({ type: "string", ...opts });
+const num = (opts = {}) => ({ type: "number", ...opts });
+const int = (opts = {}) => ({ type: "number", integer: true, ...opts });
+const bool = (opts = {}) => ({ type: "boolean", ...opts });
+const objectId = (opts = {}) => ({ type: "objectId", ...opts });
+const date = (opts = {}) => ({ type: "date", ...opts });
+const email = (opts = {}) => ({ type: "string", format: "email", max: 254, ...opts });
+const oneOf = (values, opts = {}) => ({ type: "string", enum: values, ...opts });
+const array = (items, opts = {}) => ({ type: "array", items, ...opts });
+// unknown keys: "strip" (default) drops them, "allow" keeps them, "reject" is an error
+const object = (shape, opts = {}) => ({ type: "object", shape, unknown: "strip", ...opts });
+const any = (opts = {}) => ({ type: "any", ...opts });
+
+
+const coerceValue = (spec, value) => {
+    if (typeof value !== "string") return value;
+    if (spec.type === "number") return value.trim() === "" ? NaN : Number(value);
+    if (spec.type === "boolean") return value === "true" ? true : value === "false" ? false : value;
+    return value;
+};
+
+// returns { value, errors }; errors is a list of { field, message }
+const check = (spec, input, field, opts, errors) => {
+    // an empty query value (?page=) or an empty date counts as not given
+    if (input === undefined || (input === "" && (opts.coerce || spec.type === "date"))) {
+        if (spec.required) errors.push({ field, message: "is required" });
+        return spec.default;
+    }
+    if (input === null) {
+        if (!spec.nullable) errors.push({ field, message: "cannot be null" });
+        return null;
+    }
+
+    const value = opts.coerce ? coerceValue(spec, input) : input;
+    const fail = (message) => {
+        errors.push({ field, message });
+        return undefined;
+    };
+
+    switch (spec.type) {
+        case "any":
+            return value;
+        case "string": {
+            if (typeof value !== "string") return fail("must be a string");
+            const s = spec.trim ? value.trim() : value;
+            if (spec.required && !s.trim()) return fail("is required");
+            if (spec.min !== undefined && s.trim().length < spec.min) return fail(`must be at least ${spec.min} characters`);
+            if (spec.max !== undefined && s.length > spec.max) return fail(`cannot exceed ${spec.max} characters`);
+            if (spec.enum && !spec.enum.includes(s)) return fail(`must be one of: ${spec.enum.join(", ")}`);
+            if (spec.format === "email" && !EMAIL_RE.test(s)) return fail("must be a valid email");
+            if (spec.pattern && !spec.pattern.test(s)) return fail(spec.patternMessage || "has an invalid format");
+            return s;
+        }
+        case "number": {
+            if (typeof value !== "number" || !Number.isFinite(value)) return fail("must be a number");
+            if (spec.integer && !Number.isInteger(value)) return fail("must be an integer");
+            if (spec.min !== undefined && value < spec.min) return fail(`must be at least ${spec.min}`);
+            if (spec.max !== undefined && value > spec.max) return fail(`must be at most ${spec.max}`);
+            return value;
+        }
+        case "boolean":
+            if (typeof value !== "boolean") return fail("must be true or false");
+            return value;
+        case "objectId":
+            if (typeof value !== "string" || !ObjectId.isValid(value) || value.length !== 24) {
+                return fail("must be a valid id");
+            }
+            return value;
+        case "date": {
+            if (typeof value !== "string" && typeof value !== "number") return fail("must be a date");
+            if (Number.isNaN(new Date(value).getTime())) return fail("must be a valid date");
+            return value;
+        }
+        case "array": {
+            if (!Array.isArray(value)) return fail("must be an array");
+            if (spec.max !== undefined && value.length > spec.max) return fail(`cannot have more than ${spec.max} items`);
+            return value.map((item, i) => check(spec.items, item, `${field}[${i}]`, opts, errors));
+        }
+        case "object": {
+            if (typeof value !== "object" || Array.isArray(value)) return fail("must be an object");
+            const out = {};
+            for (const [key, child] of Object.entries(spec.shape)) {
+                const v = check(child, value[key], field ? `${field}.${key}` : key, opts, errors);
+                if (v !== undefined) out[key] = v;
+            }
+            for (const key of Object.keys(value)) {
+                if (Object.hasOwn(spec.shape, key)) continue;
+                if (spec.unknown === "allow") out[key] = value[key];
+                else if (spec.unknown === "reject") errors.push({ field: field ? `${field}.${key}` : key, message: "is not allowed" });
+            }
+            return out;
+        }
+        default:
+            throw new Error(`Unknown schema type: ${spec.type}`);
+    }
+};
+
+const validate = (spec, input, { field = "", coerce = false } = {}) => {
+    const errors = [];
+    const value = check(spec, input, field, { coerce }, errors);
+    return { value, errors };
+};
+
+module.exports = { str, num, int, bool, objectId, date, email, oneOf, array, object, any, validate };
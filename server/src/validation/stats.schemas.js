@@ -0,0 +1,8 @@
+const { oneOf, object } = require("./schema");
+const { emailParams } = require("./common.schemas");
+
+const author = { params: emailParams };
+
+const me = { query: object({ days: oneOf(["30", "90"]) }) };
+
+module.exports = { author, me };
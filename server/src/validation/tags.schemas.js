@@ -0,0 +1,13 @@
+const { str, int, any, object } = require("./schema");
+const { pageQuery } = require("./common.schemas");
+
+const popular = { query: object({ limit: int({ min: 1 }) }) };
+
+const autocomplete = { query: object({ q: str({ max: 50 }), limit: int({ min: 1 }) }) };
+
+const lessonsByTag = { params: object({ tag: str({ required: true, max: 50 }) }), query: object(pageQuery) };
+
+// from: one tag or a list of tags, all folded into `to`
+const merge = { body: object({ from: any({ required: true }), to: str({ required: true, max: 50 }) }) };
+
+module.exports = { popular, autocomplete, lessonsByTag, merge };
@@ -0,0 +1,23 @@
+const { str, bool, email, oneOf, object } = require("./schema");
+const { emailParams } = require("./common.schemas");
+const { LESSON_DELETION_MODES } = require("../services/accounts.service");
+
+// the client posts its Firebase user object, only these fields are kept
+const upsert = {
+    body: object({
+        email: email({ required: true }),
+        name: str({ max: 100 }),
+        displayName: str({ max: 100, nullable: true }),
+        photoURL: str({ max: 2048, nullable: true }),
+    }),
+};
+
+const byEmail = { params: emailParams };
+
+const deleteUser = { params: emailParams, query: object({ lessons: oneOf(LESSON_DELETION_MODES) }) };
+
+const requestDeletion = { body: object({ lessons: oneOf(LESSON_DELETION_MODES) }) };
+
+const emailPreferences = { body: object({ weeklyDigest: bool({ required: true }) }) };
+
+module.exports = { upsert, byEmail, deleteUser, requestDeletion, emailPreferences };
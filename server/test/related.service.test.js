@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { WEIGHTS, rankRelated } = require("../src/services/related.service");
+
+const source = { _id: "src", category: "Career", emotionalTone: "Motivational", tags: ["focus", "habits"] };
+
+const ids = (ranked) => ranked.map((r) => r.lesson._id);
+
+test("scores category, tone, shared tags and co-favorites with their weights", () => {
+    const [ranked] = rankRelated(
+        source,
+        [{ _id: "a", category: "Career", emotionalTone: "Motivational", tags: ["focus", "habits", "other"] }],
+        new Map([["a", 2]])
+    );
+
+    assert.equal(ranked.score, WEIGHTS.category + WEIGHTS.emotionalTone + 2 * WEIGHTS.tag + 2 * WEIGHTS.coFavorite);
+    assert.deepEqual(ranked.reasons, {
+        sameCategory: true,
+        sameTone: true,
+        sharedTags: ["focus", "habits"],
+        coFavorites: 2,
+    });
+});
+
+test("leaves out lessons with nothing in common", () => {
+    const ranked = rankRelated(source, [{ _id: "a", category: "Health", emotionalTone: "Sad", tags: ["sleep"] }]);
+    assert.deepEqual(ranked, []);
+});
+
+test("does not match on a category or tone the source lacks", () => {
+    const ranked = rankRelated({ _id: "src", tags: [] }, [{ _id: "a", tags: [] }]);
+    assert.deepEqual(ranked, []);
+});
+
+test("orders by score, then savedCount, then _id", () => {
+    const ranked = rankRelated(source, [
+        { _id: "c", category: "Career", savedCount: 5 },
+        { _id: "b", category: "Career", savedCount: 5 },
+        { _id: "d", category: "Career", savedCount: 9 },
+        { _id: "a", category: "Career", emotionalTone: "Motivational" },
+    ]);
+    assert.deepEqual(ids(ranked), ["a", "d", "b", "c"]);
+});
+
+test("is deterministic whatever order the candidates come in", () => {
+    const candidates = [
+        { _id: "x", tags: ["focus"] },
+        { _id: "y", tags: ["habits"] },
+        { _id: "z", category: "Career" },
+    ];
+    const forward = ids(rankRelated(source, candidates));
+    const backward = ids(rankRelated(source, [...candidates].reverse()));
+    assert.deepEqual(forward, backward);
+    assert.deepEqual(forward, ["z", "x", "y"]);
+});
+
+test("returns at most limit lessons and reads co-favorites by string id", () => {
+    const candidates = Array.from({ length: 10 }, (_, i) => ({ _id: { toString: () => `l${i}` }, tags: ["focus"] }));
+    const ranked = rankRelated(source, candidates, new Map([["l7", 3]]), 3);
+
+    assert.equal(ranked.length, 3);
+    assert.equal(String(ranked[0].lesson._id), "l7");
+});